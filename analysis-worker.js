@@ -0,0 +1,121 @@
+'use strict';
+
+// ── Analysis Worker ───────────────────────────────────────────────────────────
+// The per-file number crunching runs here so the window stays responsive:
+// tempo, onsets and waveform peaks on load, sections and the spectrogram on
+// request. Results are cached per file; the last file's channels are kept
+// for the requests. Tempo and onsets use the first channel, like the CLI;
+// peaks are built for left, right, mid and side so the waveform can show any.
+// Stems (lib/stems) only get tempo and onsets, cached the same way.
+// Messages in:
+//   {id, type: 'analyze', key, channels: [left, right?], sampleRate}
+//   {id, type: 'stem', key, samples, sampleRate}
+//   {id, type: 'sections', key, grid, duration}
+//   {id, type: 'spectrogram', key}
+// Messages out: {id, progress: {stage, step, steps}} while working, then
+// {id, ok: true, result} or {id, ok: false, error}.
+
+const { detectTempo } = require('./lib/analyze');
+const { detectOnsets } = require('./lib/onsets');
+const { detectSections } = require('./lib/sections');
+const { buildPeaks } = require('./lib/peaks');
+const { buildSpectrogram } = require('./lib/spectrogram');
+
+const CACHE_SIZE = 4;          // files whose analysis is kept
+
+const cache = new Map();       // key → {tempo, onsets, peaks?, spectrogram?}, oldest first
+let current = null;            // {key, left, right, sampleRate} of the last file
+
+// Cached result for a key, now the most recently used
+function recall(key) {
+    const hit = cache.get(key);
+    if (hit) {
+        cache.delete(key);
+        cache.set(key, hit);
+    }
+    return hit;
+}
+
+function remember(key, result) {
+    cache.set(key, result);
+    if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+    return result;
+}
+
+function detectTempoSafe(samples, sampleRate) {
+    try {
+        return detectTempo(samples, sampleRate);
+    } catch (err) {
+        console.warn('music-tempo error:', err);
+        return null;
+    }
+}
+
+function analyze({ id, key, channels, sampleRate }) {
+    const [left, right = left] = channels;
+    current = { key, left, right, sampleRate };
+    const hit = recall(key);
+    if (hit) return hit;
+
+    const STAGES = ['Detecting BPM', 'Detecting onsets', 'Building waveform'];
+    const stage  = (step) => self.postMessage({ id, progress: { stage: STAGES[step], step, steps: STAGES.length } });
+
+    stage(0);
+    const tempo = detectTempoSafe(left, sampleRate);
+    stage(1);
+    const onsets = detectOnsets(left, sampleRate);
+    stage(2);
+    const peaks = { left: buildPeaks(left, sampleRate) };
+    peaks.right = right === left ? peaks.left : buildPeaks(right, sampleRate);
+    peaks.mid   = right === left ? peaks.left : buildPeaks(mixChannels(left, right, 1), sampleRate);
+    peaks.side  = buildPeaks(mixChannels(left, right, -1), sampleRate);
+
+    return remember(key, { tempo, onsets, peaks });
+}
+
+// Leaves `current` alone: sections and the spectrogram stay on the mix
+function stem({ id, key, samples, sampleRate }) {
+    const hit = recall(key);
+    if (hit) return hit;
+    self.postMessage({ id, progress: { stage: 'Detecting BPM', step: 0, steps: 2 } });
+    const tempo = detectTempoSafe(samples, sampleRate);
+    self.postMessage({ id, progress: { stage: 'Detecting onsets', step: 1, steps: 2 } });
+    return remember(key, { tempo, onsets: detectOnsets(samples, sampleRate) });
+}
+
+// (left ± right) / 2: mid with sign 1, side with -1
+function mixChannels(left, right, sign) {
+    const out = new Float32Array(left.length);
+    for (let i = 0; i < out.length; i++) out[i] = (left[i] + sign * right[i]) / 2;
+    return out;
+}
+
+function loaded(key) {
+    if (!current || current.key !== key) throw new Error('The track is no longer loaded');
+    return current;
+}
+
+function sections({ key, grid, duration }) {
+    const { left, sampleRate } = loaded(key);
+    return detectSections(left, sampleRate, grid, duration);
+}
+
+function spectrogram({ key }) {
+    const { left, right, sampleRate } = loaded(key);
+    const entry = cache.get(key);
+    if (entry && entry.spectrogram) return entry.spectrogram;
+    const result = buildSpectrogram(right === left ? left : mixChannels(left, right, 1), sampleRate);
+    if (entry) entry.spectrogram = result;
+    return result;
+}
+
+const JOBS = { analyze, stem, sections, spectrogram };
+
+self.onmessage = ({ data }) => {
+    try {
+        if (!JOBS[data.type]) throw new Error(`Unknown job ${data.type}`);
+        self.postMessage({ id: data.id, ok: true, result: JOBS[data.type](data) });
+    } catch (err) {
+        self.postMessage({ id: data.id, ok: false, error: err.message });
+    }
+};
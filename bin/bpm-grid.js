@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+'use strict';
+
+// ── BPM Grid CLI ──────────────────────────────────────────────────────────────
+// Headless analysis with the same lib/ modules as the app:
+//   bpm-grid analyze song.wav --bpm auto --transcribe base --export json,lrc --out dir/
+// Exit codes: 0 all tracks done, 1 a track failed, 2 bad arguments.
+
+const path = require('path');
+const fs   = require('fs');
+
+const { METERS }        = require('../lib/grid');
+const { analyzeTrack }  = require('../lib/analyze');
+const { AUDIO_EXTENSIONS, decodeAudio } = require('../lib/decode');
+const { WHISPER_MODELS, LANGUAGES, BACKENDS, transcribeSettings, transcribe } = require('../lib/transcribe');
+const { snapEntry }     = require('../lib/lyrics');
+const { SNAP_MODES, detectOnsets, rankCutPoints } = require('../lib/onsets');
+const { detectSections, sectionRanges } = require('../lib/sections');
+const { buildGridJSON, buildLRC } = require('../lib/export');
+const { SUBTITLE_FORMATS, GROUPINGS, TIMINGS, groupLines } = require('../lib/subtitles');
+const { MARKER_LEVELS, EXPORT_FORMATS, collectMarkers }    = require('../lib/nle-export');
+const { FRAME_RATES, frameRate, timecodeToFrames }          = require('../lib/timecode');
+
+const EXIT_OK    = 0;
+const EXIT_FAIL  = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: bpm-grid analyze <audio file or directory>... [options]
+
+Options:
+  --bpm auto|<n>         detect the tempo (default) or use a fixed BPM
+  --offset auto|<s>      bar-1 downbeat in seconds (default: auto)
+  --meter <m>            ${Object.keys(METERS).join(', ')} (default: 4/4)
+  --transcribe <model>   transcribe lyrics with Whisper (${Object.keys(WHISPER_MODELS).join(', ')})
+  --language <code>      transcription language, e.g. en, es (default: auto)
+  --prompt <text>        transcription hint: names, slang or a lyric line
+  --snap grid|onset      snap words to the grid (default) or the nearest onset
+  --backend <b>          transcription backend: ${Object.keys(BACKENDS).join(', ')} (default: faster-whisper)
+  --python <cmd>         Python for faster-whisper (default: python3 / python)
+  --whisper-bin <path>   whisper.cpp binary (whisper-cli) for --backend whisper-cpp
+  --whisper-models <dir> folder with ggml-<model>.bin files for --backend whisper-cpp
+  --url <url>            localhost /v1/audio/transcriptions endpoint for --backend openai-http
+  --export <list>        comma-separated: ${Object.keys(exporters()).join(', ')} (default: json)
+  --out <dir>            output directory (default: next to each track)
+  --group line|bar       subtitle line grouping (default: line)
+  --timing snapped|raw   subtitle word timing (default: snapped)
+  --level <l>            marker grid level: ${Object.keys(MARKER_LEVELS).join(', ')} (default: downbeat)
+  --fps <rate>           marker and JSON frame rate: ${Object.keys(FRAME_RATES).join(', ')} (default: 23.976)
+  --start-tc <tc>        marker and JSON start timecode (default: 01:00:00:00)
+  --frame-snap           round snapped word times to whole frames at --fps
+  -q, --quiet            only print errors
+  -h, --help             show this help
+`;
+
+class UsageError extends Error {}
+
+// name → {file(base), build(track), lyrics} for every --export format;
+// `lyrics` formats are skipped when there are no words
+function exporters() {
+    const out = {
+        json: { file: (b) => `${b}_grid.json`, build: (t) => buildGridJSON({ ...t, frames: frameOptions(t.opts) }) },
+        lrc:  { file: (b) => `${b}.lrc`,       build: (t) => buildLRC(t.lyrics), lyrics: true },
+    };
+    for (const [id, f] of Object.entries(SUBTITLE_FORMATS)) {
+        const name = id === 'lrc' ? 'elrc' : id;
+        out[name] = {
+            lyrics: true,
+            file:  (b) => (id === 'lrc' ? `${b}.enhanced.lrc` : `${b}.${f.ext}`),
+            build: (t) => f.build(groupLines(t.lyrics, t.grid, {
+                by: t.opts.group, timing: t.opts.timing, duration: t.duration,
+            }), { title: t.base }),
+        };
+    }
+    for (const [id, f] of Object.entries(EXPORT_FORMATS)) {
+        out[id.replace('_', '-')] = {
+            file:  (b) => `${b}_markers${id.startsWith('resolve') ? '_resolve' : ''}.${f.ext}`,
+            build: (t) => f.build({
+                markers: collectMarkers(t.grid, t.duration, { level: t.opts.level, lyrics: t.lyrics }),
+                ...frameOptions(t.opts),
+                title:   t.base,
+                audio:   {
+                    path: t.filePath, name: t.track, duration: t.duration,
+                    sampleRate: t.sampleRate, channels: t.channels,
+                },
+            }),
+        };
+    }
+    return out;
+}
+
+// {rate, start} for the frame-aware exports
+function frameOptions(opts) {
+    const rate = frameRate(opts.fps);
+    return { rate, start: timecodeToFrames(opts.startTc, rate) };
+}
+
+function parseArgs(argv) {
+    const opts = {
+        inputs: [], bpm: 'auto', offset: 'auto', meter: '4/4',
+        transcribe: null, language: 'auto', prompt: '', snap: 'grid', backend: 'faster-whisper',
+        backendConfig: { 'faster-whisper': {}, 'whisper-cpp': {}, 'openai-http': {} },
+        exports: ['json'], out: null, group: 'line', timing: 'snapped',
+        level: 'downbeat', fps: '23.976', startTc: '01:00:00:00', frameSnap: false, quiet: false, help: false,
+    };
+    const args = argv.slice();
+    const value = (flag) => {
+        if (!args.length || args[0].startsWith('--')) throw new UsageError(`${flag} needs a value`);
+        return args.shift();
+    };
+    const oneOf = (flag, v, table) => {
+        if (!(v in table)) throw new UsageError(`${flag} must be one of: ${Object.keys(table).join(', ')}`);
+        return v;
+    };
+    const autoOrNumber = (flag, v, min) => {
+        if (v === 'auto') return v;
+        const n = parseFloat(v);
+        if (!isFinite(n) || n < min) throw new UsageError(`${flag} must be "auto" or a number`);
+        return n;
+    };
+
+    while (args.length) {
+        const a = args.shift();
+        switch (a) {
+            case '--bpm':        opts.bpm        = autoOrNumber(a, value(a), 20); break;
+            case '--offset':     opts.offset     = autoOrNumber(a, value(a), 0); break;
+            case '--meter':      opts.meter      = oneOf(a, value(a), METERS); break;
+            case '--transcribe': opts.transcribe = oneOf(a, value(a), WHISPER_MODELS); break;
+            case '--language':   opts.language   = value(a); break;
+            case '--prompt':     opts.prompt     = value(a); break;
+            case '--snap':       opts.snap       = oneOf(a, value(a), SNAP_MODES); break;
+            case '--backend':    opts.backend    = oneOf(a, value(a), BACKENDS); break;
+            case '--python':         opts.backendConfig['faster-whisper'].python = value(a); break;
+            case '--whisper-bin':    opts.backendConfig['whisper-cpp'].binary    = value(a); break;
+            case '--whisper-models': opts.backendConfig['whisper-cpp'].modelsDir = value(a); break;
+            case '--url':            opts.backendConfig['openai-http'].url       = value(a); break;
+            case '--out':        opts.out        = value(a); break;
+            case '--group':      opts.group      = oneOf(a, value(a), GROUPINGS); break;
+            case '--timing':     opts.timing     = oneOf(a, value(a), TIMINGS); break;
+            case '--level':      opts.level      = oneOf(a, value(a), MARKER_LEVELS); break;
+            case '--fps':        opts.fps        = oneOf(a, value(a), FRAME_RATES); break;
+            case '--start-tc':   opts.startTc    = value(a); break;
+            case '--frame-snap': opts.frameSnap  = true; break;
+            case '--export':
+                opts.exports = value(a).split(',').map((s) => s.trim()).filter(Boolean);
+                break;
+            case '-q': case '--quiet': opts.quiet = true; break;
+            case '-h': case '--help':  opts.help  = true; break;
+            default:
+                if (a.startsWith('-')) throw new UsageError(`Unknown option ${a}`);
+                opts.inputs.push(a);
+        }
+    }
+
+    const known = exporters();
+    const bad   = opts.exports.filter((e) => !known[e]);
+    if (bad.length) throw new UsageError(`Unknown export format: ${bad.join(', ')}`);
+    opts.settings = transcribeSettings({ backend: opts.backend, ...opts.backendConfig });
+    if (timecodeToFrames(opts.startTc, frameRate(opts.fps)) === null) {
+        throw new UsageError(`--start-tc "${opts.startTc}" is not a valid timecode at ${opts.fps} fps`);
+    }
+    return opts;
+}
+
+// Audio files from the arguments; directories contribute their audio files
+function collectTracks(inputs) {
+    const tracks = [];
+    for (const input of inputs) {
+        let stat;
+        try {
+            stat = fs.statSync(input);
+        } catch {
+            throw new UsageError(`No such file or directory: ${input}`);
+        }
+        if (!stat.isDirectory()) {
+            tracks.push(input);
+            continue;
+        }
+        const found = fs.readdirSync(input)
+            .filter((f) => AUDIO_EXTENSIONS.includes(path.extname(f).slice(1).toLowerCase()))
+            .sort()
+            .map((f) => path.join(input, f));
+        if (!found.length) throw new UsageError(`No audio files in ${input}`);
+        tracks.push(...found);
+    }
+    return tracks;
+}
+
+async function analyzeFile(filePath, opts, log) {
+    const track = path.basename(filePath);
+    const base  = path.basename(filePath, path.extname(filePath));
+    const audio = decodeAudio(filePath);
+    const info  = analyzeTrack(audio.samples, audio.sampleRate, {
+        bpm: opts.bpm, offset: opts.offset, meter: opts.meter,
+    });
+    if (opts.bpm === 'auto' && !info.detected) {
+        throw new Error('BPM detection failed — pass --bpm <n>');
+    }
+    log(`  ${info.bpm} BPM · bar 1 at ${info.offset.toFixed(3)}s · ${info.tempoMap.length} tempo segment(s)`);
+    if (info.candidates.length > 1) {
+        log(`  candidates: ${info.candidates.map((c) => `${c.bpm} (${Math.round(c.confidence * 100)}%)`).join(' · ')}`);
+    }
+    const onsets   = detectOnsets(audio.samples, audio.sampleRate);
+    const sections = sectionRanges(
+        detectSections(audio.samples, audio.sampleRate, info.grid, audio.duration), info.grid, audio.duration);
+    log(`  ${sections.length} section(s): ${sections.map((s) => s.label).join(' · ')}`);
+
+    let lyrics = [];
+    if (opts.transcribe) {
+        const result = await transcribe(opts.settings, {
+            scriptPath: path.join(__dirname, '..', 'transcribe.py'),
+            audioPath:  filePath,
+            modelSize:  opts.transcribe,
+            language:   opts.language,
+            prompt:     opts.prompt,
+            onProgress: (msg) => { if (msg) log(`  ${msg}`); },
+        });
+        if (!result.ok) throw new Error('Transcription failed: ' + result.error);
+        lyrics = result.data.words.map((w) => snapEntry(w, info.grid,
+            opts.snap === 'onset' ? onsets.full : null, opts.frameSnap ? frameRate(opts.fps) : null));
+        const lang = LANGUAGES[result.data.language];
+        log(`  ${lyrics.length} words transcribed (${lang ? lang.label : result.data.language || 'unknown language'})`);
+    }
+
+    const outDir = opts.out || path.dirname(filePath);
+    fs.mkdirSync(outDir, { recursive: true });
+    const t = {
+        ...info, track, base, filePath, lyrics, opts,
+        sections,
+        cutPoints: rankCutPoints(onsets, info.grid),
+        duration: audio.duration, sampleRate: audio.sampleRate, channels: audio.channels,
+    };
+    const known = exporters();
+    for (const name of opts.exports) {
+        if (known[name].lyrics && !lyrics.length) {
+            log(`  skipped ${name}: no lyrics (use --transcribe)`);
+            continue;
+        }
+        let content;
+        try {
+            content = known[name].build(t);
+        } catch (err) {
+            log(`  skipped ${name}: ${err.message}`);
+            continue;
+        }
+        const target = path.join(outDir, known[name].file(base));
+        fs.writeFileSync(target, content, 'utf8');
+        log(`  → ${target}`);
+    }
+}
+
+async function main(argv) {
+    const [command, ...rest] = argv;
+    let opts;
+    try {
+        if (command === '-h' || command === '--help') {
+            process.stdout.write(USAGE);
+            return EXIT_OK;
+        }
+        if (command !== 'analyze') throw new UsageError(command ? `Unknown command ${command}` : 'Missing command');
+        opts = parseArgs(rest);
+        if (opts.help) {
+            process.stdout.write(USAGE);
+            return EXIT_OK;
+        }
+        if (!opts.inputs.length) throw new UsageError('No input files');
+        opts.tracks = collectTracks(opts.inputs);
+    } catch (err) {
+        if (!(err instanceof UsageError)) throw err;
+        process.stderr.write(`bpm-grid: ${err.message}\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+
+    const log = opts.quiet ? () => {} : (msg) => process.stdout.write(msg + '\n');
+    let failed = 0;
+    for (const filePath of opts.tracks) {
+        log(filePath);
+        try {
+            await analyzeFile(filePath, opts, log);
+        } catch (err) {
+            failed++;
+            process.stderr.write(`bpm-grid: ${filePath}: ${err.message}\n`);
+        }
+    }
+    if (opts.tracks.length > 1) log(`${opts.tracks.length - failed}/${opts.tracks.length} tracks done`);
+    return failed ? EXIT_FAIL : EXIT_OK;
+}
+
+main(process.argv.slice(2)).then(
+    (code) => { process.exitCode = code; },
+    (err) => {
+        process.stderr.write(`bpm-grid: ${err.stack || err.message}\n`);
+        process.exitCode = EXIT_FAIL;
+    },
+);
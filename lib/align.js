@@ -0,0 +1,185 @@
+'use strict';
+
+// ── Lyric Alignment ───────────────────────────────────────────────────────────
+// Aligns correct pasted lyrics against transcribed words [{word, start}] so
+// the text comes from the paste and the timing from the transcription.
+// Words are matched with a global sequence alignment (Needleman–Wunsch) over
+// fuzzy word similarity, so dropped, extra and misheard words only cost a gap
+// or a substitution. Unmatched lyric words get times interpolated between
+// their matched neighbours.
+
+const MATCH_MIN     = 0.5;   // similarity needed to take a transcribed time
+const GAP           = -0.4;  // cost of skipping a word on either side
+const MISMATCH      = -1;
+const REVIEW_MIN    = 0.5;   // below this (own or local mean) → review
+const REVIEW_RADIUS = 2;     // words either side in the local mean
+const DEFAULT_STEP  = 0.25;  // s between extrapolated words with no anchors
+
+// Lowercase, strip accents and anything that is not a letter or digit
+function normalizeWord(w) {
+    return String(w).toLowerCase().normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+function levenshtein(a, b) {
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const cur = [i];
+        for (let j = 1; j <= b.length; j++) {
+            cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1,
+                prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        prev = cur;
+    }
+    return prev[b.length];
+}
+
+// 0..1 — 1 for identical normalized words
+function wordSimilarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b)  return 1;
+    return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+// Split pasted text into words, keeping the line and stanza they came from.
+// Lines are numbered across the whole text; a blank line starts a new stanza.
+function tokenizeLyrics(text) {
+    const tokens = [];
+    let line = -1, stanza = 0, blank = false;
+    for (const raw of String(text).split(/\r?\n/)) {
+        const words = raw.trim().split(/\s+/).filter(Boolean);
+        if (!words.length) {
+            blank = true;
+            continue;
+        }
+        if (blank && line >= 0) stanza++;
+        blank = false;
+        line++;
+        for (const word of words) tokens.push({ word, line, stanza });
+    }
+    return tokens;
+}
+
+// Global alignment; returns, for each lyric token, the index of the
+// transcribed word it was paired with (or -1) and the pair's similarity
+function alignSequences(lyric, heard) {
+    const n = lyric.length, m = heard.length, w = m + 1;
+    const score = new Float32Array((n + 1) * w);
+    const move  = new Uint8Array((n + 1) * w);   // 0 diag, 1 up (skip lyric), 2 left (skip heard)
+    const sim   = (i, j) => wordSimilarity(lyric[i], heard[j]);
+
+    for (let i = 1; i <= n; i++) { score[i * w] = i * GAP; move[i * w] = 1; }
+    for (let j = 1; j <= m; j++) { score[j] = j * GAP; move[j] = 2; }
+
+    for (let i = 1; i <= n; i++) {
+        for (let j = 1; j <= m; j++) {
+            const s    = sim(i - 1, j - 1);
+            const diag = score[(i - 1) * w + j - 1] + (s >= MATCH_MIN ? s : MISMATCH);
+            const up   = score[(i - 1) * w + j] + GAP;
+            const left = score[i * w + j - 1] + GAP;
+            const k    = i * w + j;
+            if (diag >= up && diag >= left) { score[k] = diag; move[k] = 0; }
+            else if (up >= left)            { score[k] = up;   move[k] = 1; }
+            else                            { score[k] = left; move[k] = 2; }
+        }
+    }
+
+    const pair = new Array(n).fill(-1);
+    const sims = new Array(n).fill(0);
+    let i = n, j = m;
+    while (i > 0 || j > 0) {
+        const mv = move[i * w + j];
+        if (i > 0 && j > 0 && mv === 0) {
+            const s = sim(i - 1, j - 1);
+            if (s >= MATCH_MIN) { pair[i - 1] = j - 1; sims[i - 1] = s; }
+            i--; j--;
+        } else if (i > 0 && (j === 0 || mv === 1)) {
+            i--;
+        } else {
+            j--;
+        }
+    }
+    return { pair, sims };
+}
+
+// Times for unmatched words: linear between matched neighbours, and spaced
+// at the typical matched word gap before the first / after the last match
+function interpolateTimes(times) {
+    const anchors = [];
+    times.forEach((t, i) => { if (t !== null) anchors.push(i); });
+    if (!anchors.length) return times;
+
+    const gaps = [];
+    for (let k = 1; k < anchors.length; k++) {
+        const a = anchors[k - 1], b = anchors[k];
+        gaps.push((times[b] - times[a]) / (b - a));
+    }
+    gaps.sort((a, b) => a - b);
+    const step = gaps.length ? gaps[gaps.length >> 1] : DEFAULT_STEP;
+
+    const out   = times.slice();
+    const first = anchors[0], last = anchors[anchors.length - 1];
+    for (let i = 0; i < first; i++) out[i] = Math.max(0, times[first] - (first - i) * step);
+    for (let i = last + 1; i < out.length; i++) out[i] = times[last] + (i - last) * step;
+    for (let k = 1; k < anchors.length; k++) {
+        const a = anchors[k - 1], b = anchors[k];
+        for (let i = a + 1; i < b; i++) {
+            out[i] = times[a] + (times[b] - times[a]) * (i - a) / (b - a);
+        }
+    }
+    return out;
+}
+
+// Align pasted lyrics to transcribed words. Returns
+//   words:   [{word, start, end?, line, stanza, confidence, review}], one per
+//            pasted word; `end` only for words matched to a timed one
+//   matched: how many words took their time from the transcription
+//   regions: runs of words flagged for review, [{from, to, start, end}]
+// `duration` clamps times extrapolated past the last matched word.
+function alignLyrics(text, transcribed, { duration = Infinity } = {}) {
+    const tokens = tokenizeLyrics(text);
+    const heard  = (transcribed || []).filter((w) => isFinite(w.start));
+    if (!tokens.length) throw new Error('No lyrics to align');
+    if (!heard.length)  throw new Error('No transcribed words to align against');
+
+    const { pair, sims } = alignSequences(
+        tokens.map((t) => normalizeWord(t.word)),
+        heard.map((w) => normalizeWord(w.word)),
+    );
+    const matched = pair.filter((j) => j >= 0).length;
+    if (!matched) throw new Error('None of the lyrics match the transcription');
+
+    const times = interpolateTimes(pair.map((j) => (j >= 0 ? heard[j].start : null)));
+    const conf  = pair.map((j, i) => (j >= 0 ? sims[i] * (heard[j].probability ?? 1) : 0));
+
+    const words = tokens.map((t, i) => {
+        const lo = Math.max(0, i - REVIEW_RADIUS), hi = Math.min(conf.length, i + REVIEW_RADIUS + 1);
+        let sum = 0;
+        for (let k = lo; k < hi; k++) sum += conf[k];
+        const end = pair[i] >= 0 ? heard[pair[i]].end : undefined;
+        return {
+            word:       t.word,
+            start:      Math.min(times[i], duration),
+            ...(end > times[i] ? { end: Math.min(end, duration) } : {}),
+            line:       t.line,
+            stanza:     t.stanza,
+            confidence: parseFloat(conf[i].toFixed(3)),
+            review:     conf[i] < REVIEW_MIN || sum / (hi - lo) < REVIEW_MIN,
+        };
+    });
+
+    const regions = [];
+    words.forEach((w, i) => {
+        if (!w.review) return;
+        const last = regions[regions.length - 1];
+        if (last && last.to === i - 1) Object.assign(last, { to: i, end: w.start });
+        else regions.push({ from: i, to: i, start: w.start, end: w.start });
+    });
+
+    return { words, matched, regions };
+}
+
+module.exports = {
+    alignLyrics,
+};
@@ -0,0 +1,107 @@
+'use strict';
+
+const MusicTempo = require('music-tempo');
+const { calcGrid, estimateOffset } = require('./grid');
+const { buildTempoMap } = require('./tempo-map');
+
+// ── Analysis ──────────────────────────────────────────────────────────────────
+// Tempo detection and grid setup shared by the app and the CLI. Both feed the
+// first channel of the decoded audio so they land on the same grid.
+
+const FALLBACK_BPM = 120;
+
+const MAX_CANDIDATES = 5;
+const SAME_TEMPO     = 0.02;  // relative BPM difference counted as one candidate
+
+// Returns {bpm, beats, candidates} or null. Beat strengths are the spectral
+// flux at each beat and feed the downbeat estimate in estimateOffset.
+// `candidates` are the distinct tempos music-tempo's beat-tracking agents
+// settled on, best first, each {bpm, beats, confidence} where confidence is
+// its best agent's share of the candidates' scores (0..1). The top one is
+// the detection itself.
+function detectTempo(samples, sampleRate) {
+    const timeStep = 441 / sampleRate; // music-tempo hopSize
+    const mt       = new MusicTempo(samples, { timeStep });
+    const strength = (t) => mt.spectralFlux[Math.round(t / timeStep)] || 0;
+
+    const groups = [];
+    for (const agent of mt.agents.slice().sort((a, b) => b.score - a.score)) {
+        const bpm = 60 / agent.beatInterval;
+        if (!(bpm >= 40 && bpm <= 280) || !(agent.score > 0)) continue;
+        if (groups.some((g) => Math.abs(g.bpm - bpm) / g.bpm < SAME_TEMPO)) continue;
+        groups.push({ bpm, agent });
+        if (groups.length === MAX_CANDIDATES) break;
+    }
+    if (!groups.length) return null;
+
+    const total      = groups.reduce((s, g) => s + g.agent.score, 0);
+    const candidates = groups.map(({ bpm, agent }) => {
+        if (agent !== mt.bestAgent) agent.fillBeats();
+        return {
+            bpm:        Math.round(bpm * 10) / 10,
+            beats:      agent.events.map((t) => ({ time: t, strength: strength(t) })),
+            confidence: Math.round(agent.score / total * 100) / 100,
+        };
+    });
+    return { bpm: candidates[0].bpm, beats: candidates[0].beats, candidates };
+}
+
+// Bar-1 downbeat from the tracked beats
+function autoOffset({ bpm, beats }, meter) {
+    return estimateOffset(beats, calcGrid(bpm, 0, meter));
+}
+
+// Tempo map following the tracked beats
+function beatTempoMap({ bpm, beats }, offset, meter) {
+    const nominal = calcGrid(bpm, offset, meter);
+    return buildTempoMap(beats.map((b) => b.time), {
+        bpm,
+        offset,
+        quartersPerBar: nominal.downbeat_whole / nominal.quarter_note,
+    });
+}
+
+// music-tempo throws (a plain string) on audio without beats
+function tryDetectTempo(samples, sampleRate) {
+    try {
+        return detectTempo(samples, sampleRate);
+    } catch {
+        return null;
+    }
+}
+
+// Whole grid for a track, the way the app sets it up on load.
+// `bpm` and `offset` are numbers or 'auto'; a fixed BPM gives a constant tempo
+// and skips detection.
+function analyzeTrack(samples, sampleRate, { bpm = 'auto', offset = 'auto', meter = '4/4' } = {}) {
+    const detected = bpm === 'auto' ? tryDetectTempo(samples, sampleRate) : null;
+    const duration = samples.length / sampleRate;
+    const result   = {
+        detected: !!detected, bpm: FALLBACK_BPM, offset: 0, meter, beats: [], tempoMap: null,
+        candidates: detected ? detected.candidates.map(({ bpm, confidence }) => ({ bpm, confidence })) : [],
+    };
+
+    if (bpm === 'auto') {
+        if (detected) Object.assign(result, { bpm: detected.bpm, beats: detected.beats });
+    } else {
+        result.bpm = bpm;
+    }
+    if (offset === 'auto') {
+        result.offset = result.beats.length ? autoOffset(result, meter) : 0;
+    } else {
+        result.offset = Math.min(Math.max(offset, 0), duration);
+    }
+    result.tempoMap = bpm === 'auto' && result.beats.length
+        ? beatTempoMap(result, result.offset, meter)
+        : [{ beat: 0, bpm: result.bpm }];
+    result.grid = calcGrid(result.bpm, result.offset, meter, result.tempoMap);
+    return result;
+}
+
+module.exports = {
+    FALLBACK_BPM,
+    detectTempo,
+    autoOffset,
+    beatTempoMap,
+    analyzeTrack,
+};
@@ -0,0 +1,166 @@
+'use strict';
+
+const { timeAtEighth, eighthAt } = require('./grid');
+
+// ── Auto-Assemble ─────────────────────────────────────────────────────────────
+// Lays footage clips along the song: the song is cut into slots on grid
+// boundaries and each slot gets a clip trimmed to its length. A slot is
+//   {start, end, clip, name, in, out, locked, short}
+// where `clip` is the clip's path, `in`/`out` the source range in seconds and
+// `short` marks a clip too short to fill its slot. Clips may carry their own
+// `in`/`out` points; only that part of the clip is ever used.
+
+const MIN_SLOT = 0.1;   // s — shorter slots are merged into the previous one
+
+const ASSEMBLE_MODES = {
+    bars:   { label: 'Every N bars' },
+    energy: { label: 'Denser when loud' },
+    words:  { label: 'On lyric words' },
+};
+
+function barTime(b, grid) {
+    return timeAtEighth(b * grid.slots.length, grid);
+}
+
+// RMS of `samples` over every bar, bar 1 at index 0
+function barEnergy(samples, sampleRate, grid, duration) {
+    const out = [];
+    for (let b = 0; barTime(b, grid) < duration; b++) {
+        const from = Math.max(0, Math.floor(barTime(b, grid) * sampleRate));
+        const to   = Math.min(samples.length, Math.floor(barTime(b + 1, grid) * sampleRate));
+        let sum = 0;
+        for (let i = from; i < to; i++) sum += samples[i] * samples[i];
+        out.push(to > from ? Math.sqrt(sum / (to - from)) : 0);
+    }
+    return out;
+}
+
+// Cut times for a mode:
+//   bars   — every `bars` bars from bar 1
+//   energy — every `bars` bars in the quietest third of the song, twice as
+//            often in the middle third and four times as often in the loudest
+//   words  — on lyric words, at most one cut per half note
+function cutTimes(grid, duration, { mode = 'bars', bars = 4, energy = [], lyrics = [] } = {}) {
+    const cuts = [];
+    if (mode === 'words') {
+        const minGap = grid.quarter_note * 2;
+        for (const t of lyrics.map((e) => e.snapped_start).sort((a, b) => a - b)) {
+            if (!cuts.length || t - cuts[cuts.length - 1] >= minGap) cuts.push(t);
+        }
+    } else {
+        const sorted = energy.slice().sort((a, b) => a - b);
+        const mid    = sorted[Math.floor(sorted.length / 3)];
+        const loud   = sorted[Math.floor(sorted.length * 2 / 3)];
+        const stepAt = (b) => {
+            if (mode !== 'energy' || !sorted.length) return bars;
+            const e = energy[b] ?? 0;
+            return Math.max(1, Math.round(e >= loud ? bars / 4 : e >= mid ? bars / 2 : bars));
+        };
+        for (let b = 0; barTime(b, grid) < duration; b += stepAt(b)) cuts.push(barTime(b, grid));
+    }
+    return cuts;
+}
+
+// Slots from cut times, covering 0..duration
+function slotRanges(cuts, duration) {
+    const edges = [0, ...cuts.filter((t) => t > 0 && t < duration), duration].sort((a, b) => a - b);
+    const slots = [];
+    for (let i = 0; i < edges.length - 1; i++) {
+        const start = edges[i], end = edges[i + 1];
+        if (end - start < MIN_SLOT && slots.length) slots[slots.length - 1].end = end;
+        else if (end > start) slots.push({ start, end });
+    }
+    return slots;
+}
+
+// Usable source range [from, to] of a clip: its in/out points, else all of it
+function clipRange(clip) {
+    const from = Math.min(Math.max(0, clip.in || 0), clip.duration);
+    const to   = Math.min(clip.duration, clip.out ?? clip.duration);
+    return [from, Math.max(from, to)];
+}
+
+function usableLength(clip) {
+    const [from, to] = clipRange(clip);
+    return to - from;
+}
+
+// Fit a slot to its clip: keep `in` if the clip is long enough, else pull it back
+function trimSlot(slot, clip) {
+    const len = slot.end - slot.start;
+    if (!clip) return Object.assign(slot, { clip: null, name: null, in: 0, out: 0, short: false });
+    const [from, to] = clipRange(clip);
+    const start = Math.max(from, Math.min(slot.in || 0, to - len));
+    return Object.assign(slot, {
+        clip:  clip.path,
+        name:  clip.name,
+        in:    start,
+        out:   Math.min(start + len, to),
+        short: to - from < len - 1e-3,
+    });
+}
+
+// Fill the slots with clips in rotation. Reused clips continue from where
+// they were last cut so the same shot isn't repeated; `previous` slots that
+// are locked and still line up keep their clip and in-point.
+function assignClips(ranges, clips, previous = []) {
+    const byPath = new Map(clips.map((c) => [c.path, c]));
+    const used   = new Map(clips.map((c) => [c.path, clipRange(c)[0]]));
+    const slots  = ranges.map((r) => ({ start: r.start, end: r.end, locked: false }));
+
+    for (const slot of slots) {
+        const prev = previous.find((p) => p.locked && byPath.has(p.clip)
+            && Math.abs(p.start - slot.start) < 1e-3 && Math.abs(p.end - slot.end) < 1e-3);
+        if (!prev) continue;
+        trimSlot(Object.assign(slot, { in: prev.in, locked: true }), byPath.get(prev.clip));
+        used.set(slot.clip, Math.max(used.get(slot.clip), slot.out));
+    }
+
+    let next = 0;
+    for (const slot of slots) {
+        if (slot.locked) continue;
+        if (!clips.length) {
+            trimSlot(slot, null);
+            continue;
+        }
+        const len = slot.end - slot.start;
+        let pick = -1;
+        for (let k = 0; k < clips.length && pick < 0; k++) {
+            const c = clips[(next + k) % clips.length];
+            if (clipRange(c)[1] - used.get(c.path) >= len) pick = (next + k) % clips.length;
+        }
+        let start = 0;
+        if (pick >= 0) {
+            start = used.get(clips[pick].path);
+        } else {
+            // Nothing left unused: restart the next clip long enough, or the longest
+            for (let k = 0; k < clips.length && pick < 0; k++) {
+                if (usableLength(clips[(next + k) % clips.length]) >= len) pick = (next + k) % clips.length;
+            }
+            if (pick < 0) pick = clips.reduce((best, c, i) => (usableLength(c) > usableLength(clips[best]) ? i : best), 0);
+        }
+        const clip = clips[pick];
+        trimSlot(Object.assign(slot, { in: start }), clip);
+        used.set(clip.path, slot.out);
+        next = pick + 1;
+    }
+    return slots;
+}
+
+// Bar label of a time, for slot lists ('3' or '3.5' off the downbeat)
+function barLabel(t, grid) {
+    const bar = eighthAt(t, grid) / grid.slots.length + 1;
+    return Math.abs(bar - Math.round(bar)) < 1e-3 ? String(Math.round(bar)) : bar.toFixed(1);
+}
+
+module.exports = {
+    ASSEMBLE_MODES,
+    barEnergy,
+    cutTimes,
+    slotRanges,
+    clipRange,
+    usableLength,
+    trimSlot,
+    assignClips,
+    barLabel,
+};
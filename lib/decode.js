@@ -0,0 +1,81 @@
+'use strict';
+
+const fs = require('fs');
+const { spawnSync } = require('child_process');
+
+// ── Audio Decoding (no browser) ───────────────────────────────────────────────
+// For the CLI: PCM / float WAV is read directly, anything else goes through
+// ffmpeg. Only the first channel is kept, matching what the app analyses.
+
+const AUDIO_EXTENSIONS = ['mp3', 'wav', 'flac', 'm4a', 'ogg', 'aac'];
+
+const FFMPEG_RATE = 44100;
+
+// WAV → {samples, sampleRate, channels}, or null if it isn't a WAV we read
+function readWav(buf) {
+    if (buf.length < 12 || buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') {
+        return null;
+    }
+    let fmt = null;
+    for (let pos = 12; pos + 8 <= buf.length;) {
+        const id   = buf.toString('ascii', pos, pos + 4);
+        const size = buf.readUInt32LE(pos + 4);
+        const body = pos + 8;
+        if (id === 'fmt ') {
+            let format = buf.readUInt16LE(body);
+            if (format === 0xfffe && size >= 26) format = buf.readUInt16LE(body + 24); // WAVE_FORMAT_EXTENSIBLE
+            fmt = {
+                format,
+                channels:   buf.readUInt16LE(body + 2),
+                sampleRate: buf.readUInt32LE(body + 4),
+                bits:       buf.readUInt16LE(body + 14),
+            };
+        } else if (id === 'data' && fmt) {
+            const { format, channels, sampleRate, bits } = fmt;
+            const bytes = bits / 8;
+            const read  = format === 3 && bits === 32 ? (o) => buf.readFloatLE(o)
+                : format === 3 && bits === 64 ? (o) => buf.readDoubleLE(o)
+                : format === 1 && bits === 16 ? (o) => buf.readInt16LE(o) / 32768
+                : format === 1 && bits === 24 ? (o) => buf.readIntLE(o, 3) / 8388608
+                : format === 1 && bits === 32 ? (o) => buf.readInt32LE(o) / 2147483648
+                : format === 1 && bits === 8  ? (o) => (buf.readUInt8(o) - 128) / 128
+                : null;
+            if (!read) return null;
+            const end     = Math.min(buf.length, body + size);
+            const frames  = Math.floor((end - body) / (bytes * channels));
+            const samples = new Float32Array(frames);
+            for (let i = 0; i < frames; i++) samples[i] = read(body + i * bytes * channels);
+            return { samples, sampleRate, channels };
+        }
+        pos = body + size + (size & 1);
+    }
+    return null;
+}
+
+function decodeWithFfmpeg(filePath) {
+    const res = spawnSync('ffmpeg', [
+        '-v', 'error', '-i', filePath,
+        '-af', 'pan=mono|c0=c0', '-ar', String(FFMPEG_RATE), '-f', 'f32le', '-',
+    ], { maxBuffer: 1024 * 1024 * 1024 });
+    if (res.error) {
+        throw new Error(res.error.code === 'ENOENT'
+            ? 'ffmpeg not found — install it to read non-WAV audio'
+            : res.error.message);
+    }
+    if (res.status !== 0) throw new Error(`ffmpeg failed: ${res.stderr.toString().trim()}`);
+    const out     = res.stdout;
+    const samples = new Float32Array(out.buffer.slice(out.byteOffset, out.byteOffset + out.length - (out.length % 4)));
+    return { samples, sampleRate: FFMPEG_RATE, channels: 1 };
+}
+
+// → {samples, sampleRate, channels, duration}; throws with a readable message
+function decodeAudio(filePath) {
+    const decoded = readWav(fs.readFileSync(filePath)) || decodeWithFfmpeg(filePath);
+    if (!decoded.samples.length) throw new Error('No audio samples decoded');
+    return { ...decoded, duration: decoded.samples.length / decoded.sampleRate };
+}
+
+module.exports = {
+    AUDIO_EXTENSIONS,
+    decodeAudio,
+};
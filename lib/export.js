@@ -0,0 +1,96 @@
+'use strict';
+
+const { secondsToFrames, framesToTimecode, frameDrift } = require('./timecode');
+
+// ── Grid JSON / LRC ───────────────────────────────────────────────────────────
+// The app's own export formats. The JSON carries the grid it was made on so
+// lib/importers can restore it, `sections` (lib/sections sectionRanges) when
+// the song has been segmented and `cutPoints` (lib/onsets rankCutPoints) when
+// onsets were detected. With `frames` ({rate, start}: a lib/timecode
+// frameRate() and the start timecode as a frame count) it also carries the
+// grid in frames, the frame drift report and each word's frame and timecode
+// (and end frame and timecode for words with a snapped end).
+// `candidates` ([{bpm, confidence}], lib/analyze detectTempo) lists the
+// detector's alternative tempos.
+
+const INTERVALS = ['beat_note', 'quarter_note', 'eighth_note', 'half_note', 'downbeat_whole'];
+
+function frameMetadata(grid, duration, { rate, start }) {
+    return {
+        frame_rate:     rate.id,
+        fps:            parseFloat(rate.fps.toFixed(3)),
+        drop_frame:     rate.drop,
+        start_timecode: framesToTimecode(start, rate),
+        interval_frames: Object.fromEntries(INTERVALS.map((k) => [k, parseFloat((grid[k] * rate.fps).toFixed(3))])),
+        drift:          frameDrift(grid, duration, rate),
+    };
+}
+
+function buildGridJSON({ track, bpm, duration, grid, lyrics, sections, cutPoints, frames, candidates }) {
+    const quartersPerBar = grid.downbeat_whole / grid.quarter_note;
+    const words = frames
+        ? lyrics.map((e) => {
+            const frame = secondsToFrames(e.snapped_start, frames.rate);
+            const out   = { ...e, frame, timecode: framesToTimecode(frames.start + frame, frames.rate) };
+            if (e.snapped_end !== undefined) {
+                out.end_frame    = secondsToFrames(e.snapped_end, frames.rate);
+                out.end_timecode = framesToTimecode(frames.start + out.end_frame, frames.rate);
+            }
+            return out;
+        })
+        : lyrics;
+    return JSON.stringify({
+        metadata: {
+            track,
+            bpm:              Math.round(bpm * 100) / 100,
+            duration_seconds: Math.round(duration * 100) / 100,
+            downbeat_offset:  parseFloat(grid.offset.toFixed(6)),
+            ...(candidates && candidates.length ? {
+                tempo_candidates: candidates.map(({ bpm: b, confidence }) => ({ bpm: b, confidence })),
+            } : {}),
+            tempo_map:        grid.map.map((seg) => ({
+                bar:   parseFloat((seg.beat / quartersPerBar + 1).toFixed(2)),
+                beat:  seg.beat,
+                time:  parseFloat(seg.time.toFixed(4)),
+                bpm:   seg.bpm,
+            })),
+            grid_intervals: {
+                meter:          grid.meter,
+                bar_groups:     grid.groups,
+                beat_note:      parseFloat(grid.beat_note.toFixed(6)),
+                quarter_note:   parseFloat(grid.quarter_note.toFixed(6)),
+                eighth_note:    parseFloat(grid.eighth_note.toFixed(6)),
+                half_note:      parseFloat(grid.half_note.toFixed(6)),
+                downbeat_whole: parseFloat(grid.downbeat_whole.toFixed(6)),
+            },
+            ...(frames ? { frames: frameMetadata(grid, duration, frames) } : {}),
+        },
+        ...(sections && sections.length ? {
+            sections: sections.map((s) => ({
+                label:     s.label,
+                kind:      s.kind,
+                start_bar: s.bar,
+                end_bar:   s.end_bar,
+                start:     parseFloat(s.start.toFixed(4)),
+                end:       parseFloat(s.end.toFixed(4)),
+            })),
+        } : {}),
+        lyrics_grid: words,
+        ...(cutPoints ? { cut_points: cutPoints } : {}),
+    }, null, 4);
+}
+
+// One line per word at its snapped time
+function buildLRC(lyrics) {
+    return lyrics.map((e) => {
+        const t = e.snapped_start;
+        const m = Math.floor(t / 60);
+        const s = t % 60;
+        return `[${m.toString().padStart(2, '0')}:${s.toFixed(2).padStart(5, '0')}] ${e.word}`;
+    }).join('\n');
+}
+
+module.exports = {
+    buildGridJSON,
+    buildLRC,
+};
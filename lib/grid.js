@@ -0,0 +1,191 @@
+'use strict';
+
+const { normalizeTempoMap, resolveTempoMap, timeAtBeat, beatAtTime } = require('./tempo-map');
+
+// ── Meters ────────────────────────────────────────────────────────────────────
+// `groups` splits the bar into accent groups, counted in `unit` notes.
+// BPM is always quarter notes per minute; the finest grid line is the eighth.
+const METERS = {
+    '4/4':  { beats: 4,  unit: 4, groups: [2, 2] },
+    '3/4':  { beats: 3,  unit: 4, groups: [3] },
+    '2/4':  { beats: 2,  unit: 4, groups: [2] },
+    '5/4':  { beats: 5,  unit: 4, groups: [3, 2] },
+    '6/8':  { beats: 6,  unit: 8, groups: [3, 3] },
+    '7/8':  { beats: 7,  unit: 8, groups: [2, 2, 3] },
+    '12/8': { beats: 12, unit: 8, groups: [3, 3, 3, 3] },
+};
+
+// Coarse → fine. Types sharing a rank are the simple/compound spelling of
+// the same level.
+const RANK = { downbeat: 0, half: 1, strong: 1, quarter: 2, weak: 2, offbeat: 3 };
+
+const LEVEL_LABEL = {
+    downbeat: 'DOWNBEAT',
+    half:     'HALF NOTE',
+    strong:   'STRONG BEAT',
+    quarter:  'QUARTER',
+    weak:     'EIGHTH',
+    offbeat:  'OFFBEAT',
+};
+
+// Beat type of every eighth slot in one bar
+function meterSlots(meter) {
+    const { unit, groups } = meter;
+    const perUnit = 8 / unit; // eighths per counted beat
+    const simple  = unit === 4;
+    const halved  = groups.length === 2 && groups[0] === groups[1];
+    const slots   = [];
+
+    groups.forEach((size, g) => {
+        for (let b = 0; b < size; b++) {
+            for (let s = 0; s < perUnit; s++) {
+                if (s > 0)                 slots.push('offbeat');
+                else if (g === 0 && b === 0) slots.push('downbeat');
+                else if (b === 0)          slots.push(simple && halved ? 'half' : 'strong');
+                else                       slots.push(simple ? 'quarter' : 'weak');
+            }
+        }
+    });
+    return slots;
+}
+
+// ── Grid Math ─────────────────────────────────────────────────────────────────
+// Grid lines are indexed by eighth note from the bar-1 downbeat at `offset`
+// (index 0) and placed in time through the tempo map. The interval fields
+// describe the nominal `bpm`; `downbeat_whole` is the bar length in any meter.
+// Times are absolute track seconds throughout.
+
+function calcGrid(bpm, offset = 0, meterId = '4/4', tempoMap = null) {
+    const meter = METERS[meterId] || METERS['4/4'];
+    const q     = 60.0 / bpm;
+    const slots = meterSlots(meter);
+    return {
+        map:            resolveTempoMap(normalizeTempoMap(tempoMap, bpm), offset),
+        meter:          METERS[meterId] ? meterId : '4/4',
+        groups:         meter.groups,
+        slots,
+        eighth_note:    q / 2,
+        quarter_note:   q,
+        half_note:      q * 2,
+        beat_note:      q * 4 / meter.unit,
+        downbeat_whole: slots.length * q / 2,
+        offset,
+    };
+}
+
+// Eighth-note index ↔ track time
+function timeAtEighth(i, grid) {
+    return timeAtBeat(grid.map, i / 2);
+}
+
+function eighthAt(t, grid) {
+    return beatAtTime(grid.map, t) * 2;
+}
+
+function slotType(i, grid) {
+    const n = grid.slots.length;
+    return grid.slots[((i % n) + n) % n];
+}
+
+function snapToGrid(t, grid) {
+    const i = Math.round(eighthAt(t, grid));
+    const snapped = timeAtEighth(i, grid);
+    return snapped < 0 ? timeAtEighth(i + 1, grid) : snapped;
+}
+
+function classifyBeat(snapped, grid) {
+    return slotType(Math.round(eighthAt(snapped, grid)), grid);
+}
+
+// Grid lines in [0, duration] no finer than `maxRank`: [{t, type, index}]
+function gridLines(grid, duration, maxRank = RANK.offbeat) {
+    return gridLinesBetween(grid, 0, duration, maxRank);
+}
+
+// Grid lines with from <= t <= to, for drawing just the visible range
+function gridLinesBetween(grid, from, to, maxRank = RANK.offbeat) {
+    const out = [];
+    for (let i = Math.ceil(eighthAt(from, grid) - 1e-9); ; i++) {
+        const t = timeAtEighth(i, grid);
+        if (t > to + 1e-9) break;
+        const type = slotType(i, grid);
+        if (RANK[type] <= maxRank) out.push({ t, type, index: i });
+    }
+    return out;
+}
+
+// 1-based bar number of a grid line index (≤ 0 in the pickup)
+function barNumber(index, grid) {
+    return Math.floor(index / grid.slots.length) + 1;
+}
+
+// Cut points (grid lines after 0s) at the given level or coarser
+function countCuts(type, grid, duration) {
+    return gridLines(grid, duration, RANK[type]).filter((l) => l.t > 1e-9).length;
+}
+
+// Levels present in this meter, coarse → fine: [{type, label, interval, pattern}].
+// `interval` is null where the spacing is uneven (e.g. 7/8 groups); `pattern`
+// then describes the grouping.
+function gridLevels(grid) {
+    const types = [...new Set(grid.slots)].sort((a, b) => RANK[a] - RANK[b]);
+    const even  = grid.groups.every((g) => g === grid.groups[0]);
+    return types.map((type) => {
+        let interval = grid.eighth_note;
+        if (type === 'downbeat') interval = grid.downbeat_whole;
+        if (type === 'half')     interval = grid.half_note;
+        if (type === 'quarter')  interval = grid.quarter_note;
+        if (type === 'strong')   interval = even ? grid.groups[0] * grid.beat_note : null;
+        return {
+            type,
+            label:   LEVEL_LABEL[type],
+            interval,
+            pattern: type === 'strong' ? grid.groups.join('+') : null,
+        };
+    });
+}
+
+// ── Phase estimation ──────────────────────────────────────────────────────────
+// beats: [{time, strength}] from the beat tracker. The beat phase is the
+// circular mean of beat times modulo the quarter note; the bar phase is the
+// beat slot carrying the most onset strength. Returns an offset in [0, bar)
+// so bar 1 is the first downbeat in the track.
+function estimateOffset(beats, grid) {
+    if (!beats || !beats.length || !grid) return 0;
+    const q   = grid.quarter_note;
+    const bar = grid.downbeat_whole;
+
+    let sx = 0, sy = 0;
+    for (const b of beats) {
+        const a = (2 * Math.PI * b.time) / q;
+        sx += Math.cos(a);
+        sy += Math.sin(a);
+    }
+    const beatPhase = ((Math.atan2(sy, sx) / (2 * Math.PI)) * q + q) % q;
+
+    const slotScore = new Array(Math.ceil(bar / q - 1e-6)).fill(0);
+    for (const b of beats) {
+        const pos  = (((b.time - beatPhase) % bar) + bar) % bar;
+        const slot = Math.round(pos / q) % slotScore.length;
+        if (Math.abs(pos - slot * q) < q / 4) slotScore[slot] += b.strength ?? 1;
+    }
+    const best = slotScore.indexOf(Math.max(...slotScore));
+
+    return parseFloat(((beatPhase + best * q) % bar).toFixed(4));
+}
+
+module.exports = {
+    METERS,
+    RANK,
+    calcGrid,
+    timeAtEighth,
+    eighthAt,
+    barNumber,
+    snapToGrid,
+    classifyBeat,
+    gridLines,
+    gridLinesBetween,
+    countCuts,
+    gridLevels,
+    estimateOffset,
+};
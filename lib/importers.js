@@ -0,0 +1,199 @@
+'use strict';
+
+const { METERS }  = require('./grid');
+const { extName } = require('./paths');
+
+// ── Lyric Importers ───────────────────────────────────────────────────────────
+// Parse timed lyrics back into words [{word, start, line}] for processWords.
+// Formats that only time whole lines (plain LRC, SRT, VTT cues without word
+// stamps) spread a line's words evenly until the next line starts.
+// Our own _grid.json also carries the grid it was made on, so importing it
+// can restore BPM, bar 1, meter and tempo map before re-snapping.
+
+const IMPORT_EXTENSIONS = ['json', 'lrc', 'srt', 'vtt'];
+
+const LINE_TAIL = 2;    // s given to the last line when nothing follows it
+
+// ── Our JSON ──
+function fail(where, msg) {
+    throw new Error(`Invalid grid JSON: ${where} ${msg}`);
+}
+
+const isNum = (v) => typeof v === 'number' && isFinite(v);
+
+// Check a parsed _grid.json against the shape buildJSON writes; throws on the
+// first problem with the path of the offending field
+function validateGridJSON(data) {
+    if (!data || typeof data !== 'object') fail('file', 'is not a JSON object');
+    const meta = data.metadata;
+    if (!meta || typeof meta !== 'object') fail('metadata', 'is missing');
+    if (!isNum(meta.bpm) || meta.bpm <= 0) fail('metadata.bpm', 'must be a positive number');
+    if (meta.downbeat_offset !== undefined && !isNum(meta.downbeat_offset)) {
+        fail('metadata.downbeat_offset', 'must be a number');
+    }
+    if (meta.tempo_map !== undefined) {
+        if (!Array.isArray(meta.tempo_map)) fail('metadata.tempo_map', 'must be an array');
+        meta.tempo_map.forEach((seg, i) => {
+            if (!seg || !isNum(seg.beat)) fail(`metadata.tempo_map[${i}].beat`, 'must be a number');
+            if (!isNum(seg.bpm) || seg.bpm <= 0) fail(`metadata.tempo_map[${i}].bpm`, 'must be a positive number');
+        });
+    }
+    const meter = meta.grid_intervals && meta.grid_intervals.meter;
+    if (meter !== undefined && !METERS[meter]) fail('metadata.grid_intervals.meter', `"${meter}" is not supported`);
+
+    if (!Array.isArray(data.lyrics_grid)) fail('lyrics_grid', 'must be an array');
+    data.lyrics_grid.forEach((e, i) => {
+        if (!e || typeof e.word !== 'string') fail(`lyrics_grid[${i}].word`, 'must be a string');
+        if (!isNum(e.raw_start) || e.raw_start < 0) fail(`lyrics_grid[${i}].raw_start`, 'must be a time in seconds');
+        if (!isNum(e.snapped_start)) fail(`lyrics_grid[${i}].snapped_start`, 'must be a time in seconds');
+        if (e.raw_end !== undefined && !(isNum(e.raw_end) && e.raw_end > e.raw_start)) {
+            fail(`lyrics_grid[${i}].raw_end`, 'must be a time after raw_start');
+        }
+        if (e.confidence !== undefined && !isNum(e.confidence)) fail(`lyrics_grid[${i}].confidence`, 'must be a number');
+    });
+    return data;
+}
+
+function parseGridJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error('Invalid grid JSON: ' + err.message);
+    }
+    const { metadata: meta, lyrics_grid: lyrics } = validateGridJSON(data);
+    return {
+        words: lyrics.map((e) => ({ ...e })),
+        grid: {
+            bpm:       meta.bpm,
+            offset:    meta.downbeat_offset || 0,
+            meter:     (meta.grid_intervals && meta.grid_intervals.meter) || '4/4',
+            tempo_map: meta.tempo_map ? meta.tempo_map.map((s) => ({ beat: s.beat, bpm: s.bpm })) : null,
+            track:     meta.track,
+            duration:  meta.duration_seconds,
+        },
+    };
+}
+
+// ── Timed lines → words ──
+// lines: [{start, text, stamps?: [{t, text}]}] in any order
+function wordsFromLines(lines) {
+    const sorted = lines.filter((l) => l.text.trim()).sort((a, b) => a.start - b.start);
+    const words  = [];
+    sorted.forEach((l, line) => {
+        const next  = sorted[line + 1];
+        const end   = l.end ?? (next ? next.start : l.start + LINE_TAIL);
+        const spans = l.stamps && l.stamps.length
+            ? l.stamps.map((st, k) => ({ ...st, end: k + 1 < l.stamps.length ? l.stamps[k + 1].t : end }))
+            : [{ t: l.start, text: l.text, end }];
+        // Several words under one stamp share its span evenly
+        for (const span of spans) {
+            const parts = span.text.trim().split(/\s+/).filter(Boolean);
+            const step  = Math.max(0, span.end - span.t) / parts.length;
+            parts.forEach((word, k) => words.push({ word, start: Math.max(0, span.t + k * step), line }));
+        }
+    });
+    return words;
+}
+
+// ── LRC ──
+// [mm:ss.xx] lines, several stamps per line for repeats, [offset:±ms], and
+// enhanced <mm:ss.xx> word stamps
+const LRC_TIME = /(\d+):(\d{1,2}(?:[.:]\d{1,3})?)/;
+
+function lrcSeconds(stamp) {
+    const m = LRC_TIME.exec(stamp);
+    return m ? parseInt(m[1], 10) * 60 + parseFloat(m[2].replace(':', '.')) : null;
+}
+
+function parseLRC(text) {
+    let offset = 0;
+    const lines = [];
+    for (const raw of text.split(/\r?\n/)) {
+        const tag = /^\s*\[offset:\s*([+-]?\d+)\s*\]/i.exec(raw);
+        if (tag) {
+            // positive offset shifts lyrics earlier
+            offset = -parseInt(tag[1], 10) / 1000;
+            continue;
+        }
+        const times = [];
+        let rest = raw.trim();
+        let m;
+        while ((m = /^\[(\d+:\d{1,2}(?:[.:]\d{1,3})?)\]/.exec(rest))) {
+            times.push(lrcSeconds(m[1]));
+            rest = rest.slice(m[0].length);
+        }
+        if (!times.length) continue;
+
+        // Enhanced: "<mm:ss.xx> word <mm:ss.xx> word <mm:ss.xx>"
+        const stamps = [];
+        const parts  = rest.split(/<(\d+:\d{1,2}(?:[.:]\d{1,3})?)>/);
+        for (let k = 1; k < parts.length; k += 2) {
+            if (parts[k + 1] && parts[k + 1].trim()) stamps.push({ t: lrcSeconds(parts[k]), text: parts[k + 1] });
+        }
+        const plain = parts.filter((_, k) => k % 2 === 0).join(' ');
+
+        for (const start of times) {
+            const shift = start - times[0];
+            lines.push({
+                start: start + offset,
+                text:  plain,
+                stamps: stamps.map((s) => ({ t: s.t + shift + offset, text: s.text })),
+            });
+        }
+    }
+    if (!lines.length) throw new Error('No timed lines found in LRC');
+    return { words: wordsFromLines(lines) };
+}
+
+// ── SRT / WebVTT ──
+const CUE_TIME = /((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+function clockSeconds(s) {
+    const parts = s.replace(',', '.').split(':').map(parseFloat);
+    return parts.reduce((acc, v) => acc * 60 + v, 0);
+}
+
+function stripTags(s) {
+    return s.replace(/<[^>]*>/g, '').replace(/\{[^}]*\}/g, '')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+// Cues are blocks separated by blank lines; the block's text is one lyric
+// line. VTT <hh:mm:ss.mmm> word stamps inside a cue are kept.
+function parseCues(text) {
+    const lines = [];
+    for (const block of text.replace(/\r/g, '').split(/\n{2,}/)) {
+        const rows = block.split('\n');
+        const at   = rows.findIndex((r) => CUE_TIME.test(r));
+        if (at < 0) continue;
+        const [, from, to] = CUE_TIME.exec(rows[at]);
+        const start = clockSeconds(from), end = clockSeconds(to);
+        const body  = rows.slice(at + 1).join(' ');
+
+        const stamps = [];
+        const parts  = body.split(/<((?:\d+:)?\d{1,2}:\d{2}\.\d{3})>/);
+        if (parts.length > 1) {
+            stamps.push({ t: start, text: stripTags(parts[0]) });
+            for (let k = 1; k < parts.length; k += 2) stamps.push({ t: clockSeconds(parts[k]), text: stripTags(parts[k + 1]) });
+        }
+        lines.push({ start, end, text: stripTags(body), stamps: stamps.filter((s) => s.text.trim()) });
+    }
+    if (!lines.length) throw new Error('No subtitle cues found');
+    return { words: wordsFromLines(lines) };
+}
+
+// Dispatch on the file extension; returns {words, grid?}
+function importLyrics(fileName, text) {
+    const ext = extName(fileName).slice(1).toLowerCase();
+    if (ext === 'json') return parseGridJSON(text);
+    if (ext === 'lrc')  return parseLRC(text);
+    if (ext === 'srt' || ext === 'vtt') return parseCues(text);
+    throw new Error(`Unsupported lyrics file: .${ext}`);
+}
+
+module.exports = {
+    IMPORT_EXTENSIONS,
+    validateGridJSON,
+    importLyrics,
+};
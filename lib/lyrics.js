@@ -0,0 +1,84 @@
+'use strict';
+
+const { snapToGrid, classifyBeat, timeAtEighth, eighthAt } = require('./grid');
+const { nearestOnset } = require('./onsets');
+const { roundToFrame } = require('./timecode');
+
+// ── Lyric Entries ─────────────────────────────────────────────────────────────
+// A lyric entry is {word, raw_start, snapped_start, type} plus optional
+// `locked` (keeps its snapped time through re-snaps), `review` (flagged by
+// alignment), `line`/`stanza` (from pasted lyrics) and `onset` (snapped to
+// an onset rather than the grid). Words that came with an end time also carry
+// `raw_end`, `snapped_end` (on the grid, at least one slot after the start)
+// and `duration_beats` (snapped length in quarter-note beats); `confidence`
+// (0..1) is Whisper's word probability or the alignment's score.
+
+// With `onsets` ([{time}], see lib/onsets) a time goes to the nearest onset
+// within half an eighth note, and to the grid when there is none that close.
+// With `rate` (lib/timecode frameRate()) the result lands on a whole frame.
+function snapTime(t, grid, onsets = null, rate = null) {
+    const hit     = onsets && nearestOnset(t, onsets, grid.eighth_note / 2);
+    const snapped = hit ? hit.time : snapToGrid(t, grid);
+    return rate ? roundToFrame(snapped, rate) : snapped;
+}
+
+// Ends always go to the grid: onsets mark where notes start, not stop
+function snapEnd(t, start, grid, rate = null) {
+    const end = snapTime(t, grid, null, rate);
+    if (end > start + 1e-6) return end;
+    const next = timeAtEighth(Math.floor(eighthAt(start, grid) + 1e-6) + 1, grid);
+    return rate ? roundToFrame(next, rate) : next;
+}
+
+function beatSpan(from, to, grid) {
+    return parseFloat(((eighthAt(to, grid) - eighthAt(from, grid)) / 2).toFixed(3));
+}
+
+// Snap a word [{word, start, end?, probability?}] or an existing entry to the
+// grid (or onsets). Locked entries keep their times and only get re-classified.
+function snapEntry(w, grid, onsets = null, rate = null) {
+    const raw     = parseFloat(w.start ?? w.raw_start ?? 0);
+    const snapped = w.locked ? w.snapped_start : snapTime(raw, grid, onsets, rate);
+    const entry   = {
+        word:          w.word,
+        raw_start:     parseFloat(raw.toFixed(4)),
+        snapped_start: parseFloat(snapped.toFixed(4)),
+        type:          classifyBeat(snapped, grid),
+    };
+    const rawEnd = parseFloat(w.end ?? w.raw_end);
+    if (rawEnd > raw) {
+        const end = w.locked && w.snapped_end > snapped ? w.snapped_end : snapEnd(rawEnd, snapped, grid, rate);
+        Object.assign(entry, {
+            raw_end:        parseFloat(rawEnd.toFixed(4)),
+            snapped_end:    parseFloat(end.toFixed(4)),
+            duration_beats: beatSpan(snapped, end, grid),
+        });
+    }
+    const confidence = w.confidence ?? w.probability;
+    if (typeof confidence === 'number' && isFinite(confidence)) entry.confidence = parseFloat(confidence.toFixed(3));
+    if (w.locked ? w.onset : snapped !== snapTime(raw, grid, null, rate)) entry.onset = true;
+    if (w.locked) entry.locked = true;
+    if (w.review) entry.review = true;
+    if (w.line !== undefined) Object.assign(entry, { line: w.line, stanza: w.stanza });
+    return entry;
+}
+
+// Put an entry's start at `t` as-is (off the grid if need be); its end moves
+// by the same amount so the word keeps its length
+function moveEntry(e, t, grid) {
+    if (e.raw_end !== undefined) {
+        e.raw_end        = parseFloat((e.raw_end + t - e.raw_start).toFixed(4));
+        e.snapped_end    = parseFloat((e.snapped_end + t - e.snapped_start).toFixed(4));
+        e.duration_beats = beatSpan(t, e.snapped_end, grid);
+    }
+    e.raw_start     = parseFloat(t.toFixed(4));
+    e.snapped_start = e.raw_start;
+    e.type          = classifyBeat(t, grid);
+    return e;
+}
+
+module.exports = {
+    snapTime,
+    snapEntry,
+    moveEntry,
+};
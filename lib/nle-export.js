@@ -0,0 +1,320 @@
+'use strict';
+
+const { RANK, gridLines, barNumber } = require('./grid');
+const { secondsToFrames, framesToTimecode } = require('./timecode');
+const { fileUrl } = require('./paths');
+
+// ── NLE Marker Exports ────────────────────────────────────────────────────────
+// Grid lines and lyric words as timeline markers for Premiere, Resolve and
+// Final Cut. Every builder takes the same options:
+//   markers:  [{t, name, kind, note}] in time order (see collectMarkers)
+//   rate:     frameRate() from ./timecode
+//   start:    sequence start in frames (the start timecode)
+//   title:    sequence / timeline name
+//   audio:    {path, name, duration, sampleRate, channels}
+// Marker times are rounded to the nearest frame. CMX3600 event numbers have
+// three digits, so the EDL builders throw past EDL_MAX_EVENTS; `events` on
+// those formats gives the count for a marker list up front.
+
+// Export levels, coarsest first; each includes the coarser ones
+const MARKER_LEVELS = {
+    downbeat: { label: 'Downbeats',   rank: RANK.downbeat },
+    half:     { label: 'Half notes',  rank: RANK.half },
+    quarter:  { label: 'Quarters',    rank: RANK.quarter },
+    eighth:   { label: 'Eighths',     rank: RANK.offbeat },
+};
+
+// Beat type → export level it belongs to
+const KIND_OF_TYPE = {
+    downbeat: 'downbeat',
+    half:     'half',
+    strong:   'half',
+    quarter:  'quarter',
+    weak:     'quarter',
+    offbeat:  'eighth',
+};
+
+const COLORS = {
+    //          Avid locator  Resolve           FCP / Premiere use none
+    downbeat: { loc: 'RED',     resolve: 'Red' },
+    half:     { loc: 'MAGENTA', resolve: 'Pink' },
+    quarter:  { loc: 'YELLOW',  resolve: 'Yellow' },
+    eighth:   { loc: 'GREEN',   resolve: 'Green' },
+    word:     { loc: 'BLUE',    resolve: 'Blue' },
+};
+
+const EDL_MAX_EVENTS = 999;
+
+const EXPORT_FORMATS = {
+    edl:         { label: 'CMX3600 EDL',           ext: 'edl',    build: buildEDL, events: gridEvents },
+    fcpxml:      { label: 'Final Cut Pro XML',     ext: 'fcpxml', build: buildFCPXML },
+    xmeml:       { label: 'Premiere XML (xmeml)',  ext: 'xml',    build: buildXMEML },
+    resolve_edl: { label: 'Resolve marker EDL',    ext: 'edl',    build: buildResolveEDL, events: (m) => m.length },
+    resolve_csv: { label: 'Resolve marker CSV',    ext: 'csv',    build: buildResolveCSV },
+};
+
+// Grid lines down to `level` plus, optionally, lyric words
+function collectMarkers(grid, duration, { level = 'downbeat', lyrics = [] } = {}) {
+    const markers = gridLines(grid, duration, MARKER_LEVELS[level].rank)
+        .filter((l) => l.t >= 0)
+        .map((l) => {
+            const bar  = barNumber(l.index, grid);
+            const slot = l.index - (bar - 1) * grid.slots.length;
+            return {
+                t:    l.t,
+                name: l.type === 'downbeat' ? `Bar ${bar}` : `${bar}.${slot + 1}`,
+                kind: KIND_OF_TYPE[l.type],
+                note: l.type,
+            };
+        });
+    for (const e of lyrics) {
+        markers.push({ t: e.snapped_start, name: e.word, kind: 'word', note: e.type });
+    }
+    return markers.sort((a, b) => a.t - b.t);
+}
+
+function xmlEscape(s) {
+    return String(s).replace(/[<>&"']/g, (c) => ({
+        '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;',
+    }[c]));
+}
+
+// EDL comment fields are single-line ASCII-ish text
+function edlText(s) {
+    return String(s).replace(/[\r\n|]+/g, ' ').trim();
+}
+
+function markerFrames(markers, rate, start) {
+    return markers.map((m) => ({ ...m, frame: start + secondsToFrames(m.t, rate) }));
+}
+
+function edlHeader(title, rate) {
+    return [`TITLE: ${edlText(title)}`, `FCM: ${rate.drop ? 'DROP FRAME' : 'NON-DROP FRAME'}`, ''];
+}
+
+const FEWER_MARKERS = 'choose a coarser grid level or leave the words out';
+
+function checkEvents(count, hint = FEWER_MARKERS) {
+    if (count > EDL_MAX_EVENTS) {
+        throw new Error(`${count} events won't fit an EDL (at most ${EDL_MAX_EVENTS}): ${hint}`);
+    }
+}
+
+// Events buildEDL writes at most: one per interval between grid markers
+function gridEvents(markers) {
+    return markers.filter((m) => m.kind !== 'word').length + 1;
+}
+
+function edlEvent(n, reel, track, srcIn, srcOut, recIn, recOut, rate) {
+    const tc = (f) => framesToTimecode(f, rate);
+    return `${String(n).padStart(3, '0')}  ${reel.padEnd(8)} ${track.padEnd(5)} C        `
+        + `${tc(srcIn)} ${tc(srcOut)} ${tc(recIn)} ${tc(recOut)}`;
+}
+
+// CMX3600: the track cut at every grid line, one event per grid interval,
+// with an Avid-style locator for each marker inside it
+function buildEDL({ markers, rate, start, title, audio }) {
+    const end   = start + secondsToFrames(audio.duration, rate);
+    const list  = markerFrames(markers, rate, start);
+    const cuts  = [...new Set([start, ...list.filter((m) => m.kind !== 'word').map((m) => m.frame), end])]
+        .filter((f) => f >= start && f <= end)
+        .sort((a, b) => a - b);
+    checkEvents(cuts.length - 1);
+
+    const lines = edlHeader(title, rate);
+    for (let i = 0; i < cuts.length - 1; i++) {
+        const from = cuts[i], to = cuts[i + 1];
+        if (to <= from) continue;
+        lines.push(edlEvent(i + 1, 'AX', 'AA', from, to, from, to, rate));
+        lines.push(`* FROM CLIP NAME: ${edlText(audio.name)}`);
+        for (const m of list) {
+            if (m.frame < from || m.frame >= to) continue;
+            lines.push(`* LOC: ${framesToTimecode(m.frame, rate)} ${COLORS[m.kind].loc.padEnd(7)} ${edlText(m.name)}`);
+        }
+        lines.push('');
+    }
+    return lines.join('\r\n');
+}
+
+// Resolve reads timeline markers from an EDL of one-frame events carrying
+// a |C: colour |M: name |D: duration comment
+function buildResolveEDL({ markers, rate, start, title }) {
+    checkEvents(markers.length);
+    const lines = edlHeader(title, rate);
+    markerFrames(markers, rate, start).forEach((m, i) => {
+        lines.push(edlEvent(i + 1, '001', 'V', m.frame, m.frame + 1, m.frame, m.frame + 1, rate) + '  ');
+        lines.push(` |C:ResolveColor${COLORS[m.kind].resolve} |M:${edlText(m.name)} |D:1`);
+        lines.push('');
+    });
+    return lines.join('\r\n');
+}
+
+// Assembled cut list: one video event per slot, source timecode counted from
+// the start of each clip, and the song underneath as a single audio event
+function buildCutListEDL({ slots, rate, start, title, audio }) {
+    checkEvents(slots.filter((s) => s.clip).length + 1, 'assemble with fewer, longer slots');
+    const lines = edlHeader(title, rate);
+    let n = 0;
+    for (const slot of slots) {
+        if (!slot.clip) continue;
+        const recIn  = start + secondsToFrames(slot.start, rate);
+        const recOut = start + secondsToFrames(slot.end, rate);
+        const srcIn  = secondsToFrames(slot.in, rate);
+        if (recOut <= recIn) continue;
+        lines.push(edlEvent(++n, 'AX', 'V', srcIn, srcIn + recOut - recIn, recIn, recOut, rate));
+        lines.push(`* FROM CLIP NAME: ${edlText(slot.name)}`);
+        if (slot.short) lines.push('* COMMENT: CLIP SHORTER THAN SLOT');
+        lines.push('');
+    }
+    const songOut = secondsToFrames(audio.duration, rate);
+    lines.push(edlEvent(++n, 'AX', 'AA', 0, songOut, start, start + songOut, rate));
+    lines.push(`* FROM CLIP NAME: ${edlText(audio.name)}`);
+    lines.push('');
+    return lines.join('\r\n');
+}
+
+function csvField(s) {
+    const v = String(s);
+    return /[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+}
+
+// Marker list in the column layout of Resolve's own marker export
+function buildResolveCSV({ markers, rate, start }) {
+    const rows = [['#', 'Name', 'Source In', 'Source Out', 'Duration', 'Color', 'Notes']];
+    markerFrames(markers, rate, start).forEach((m, i) => {
+        rows.push([
+            i + 1, m.name,
+            framesToTimecode(m.frame, rate), framesToTimecode(m.frame + 1, rate),
+            framesToTimecode(1, rate), COLORS[m.kind].resolve, m.note,
+        ]);
+    });
+    return rows.map((r) => r.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Rational seconds on the frame grid, e.g. '1001/30000s'
+function fcpTime(frames, rate) {
+    if (!frames) return '0s';
+    return rate.den === 1 ? `${frames}/${rate.num}s` : `${frames * rate.den}/${rate.num}s`;
+}
+
+// FCPXML 1.9: the audio as a clip in the primary storyline, markers on it
+function buildFCPXML({ markers, rate, start, title, audio }) {
+    const frames = secondsToFrames(audio.duration, rate);
+    const dur    = fcpTime(frames, rate);
+    const step   = fcpTime(1, rate);
+    const name   = xmlEscape(audio.name);
+    const srate  = audio.sampleRate >= 96000 ? '96k' : audio.sampleRate >= 48000 ? '48k' : '44.1k';
+
+    const markerXml = markerFrames(markers, rate, 0).map((m) =>
+        `                            <marker start="${fcpTime(m.frame, rate)}" duration="${step}" `
+        + `value="${xmlEscape(m.name)}" note="${xmlEscape(m.note)}"/>`);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<!DOCTYPE fcpxml>',
+        '<fcpxml version="1.9">',
+        '    <resources>',
+        `        <format id="r1" frameDuration="${step}" width="1920" height="1080"/>`,
+        `        <asset id="r2" name="${name}" start="0s" duration="${dur}" hasAudio="1" `
+            + `audioSources="1" audioChannels="${audio.channels}" audioRate="${audio.sampleRate}">`,
+        `            <media-rep kind="original-media" src="${xmlEscape(fileUrl(audio.path))}"/>`,
+        '        </asset>',
+        '    </resources>',
+        '    <library>',
+        '        <event name="BPM Grid">',
+        `            <project name="${xmlEscape(title)}">`,
+        `                <sequence format="r1" duration="${dur}" tcStart="${fcpTime(start, rate)}" `
+            + `tcFormat="${rate.drop ? 'DF' : 'NDF'}" audioLayout="stereo" audioRate="${srate}">`,
+        '                    <spine>',
+        `                        <asset-clip ref="r2" name="${name}" offset="${fcpTime(start, rate)}" `
+            + `start="0s" duration="${dur}">`,
+        ...markerXml,
+        '                        </asset-clip>',
+        '                    </spine>',
+        '                </sequence>',
+        '            </project>',
+        '        </event>',
+        '    </library>',
+        '</fcpxml>',
+        '',
+    ].join('\n');
+}
+
+// Premiere / xmeml v4: a sequence holding the audio, markers on the sequence
+function buildXMEML({ markers, rate, start, title, audio }) {
+    const frames = secondsToFrames(audio.duration, rate);
+    const ntsc   = rate.den === 1001 ? 'TRUE' : 'FALSE';
+    const rateXml = (ind) => [
+        `${ind}<rate>`,
+        `${ind}    <timebase>${rate.base}</timebase>`,
+        `${ind}    <ntsc>${ntsc}</ntsc>`,
+        `${ind}</rate>`,
+    ];
+    const url = fileUrl(audio.path).replace(/^file:\/\//, 'file://localhost');
+
+    const markerXml = markerFrames(markers, rate, 0).flatMap((m) => [
+        '        <marker>',
+        `            <name>${xmlEscape(m.name)}</name>`,
+        `            <comment>${xmlEscape(m.note)}</comment>`,
+        `            <in>${m.frame}</in>`,
+        '            <out>-1</out>',
+        '        </marker>',
+    ]);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<!DOCTYPE xmeml>',
+        '<xmeml version="4">',
+        '    <sequence id="sequence-1">',
+        `        <name>${xmlEscape(title)}</name>`,
+        `        <duration>${frames}</duration>`,
+        ...rateXml('        '),
+        '        <timecode>',
+        ...rateXml('            '),
+        `            <string>${framesToTimecode(start, rate)}</string>`,
+        `            <frame>${start}</frame>`,
+        `            <displayformat>${rate.drop ? 'DF' : 'NDF'}</displayformat>`,
+        '        </timecode>',
+        '        <media>',
+        '            <audio>',
+        '                <track>',
+        '                    <clipitem id="clipitem-1">',
+        `                        <name>${xmlEscape(audio.name)}</name>`,
+        `                        <duration>${frames}</duration>`,
+        ...rateXml('                        '),
+        '                        <start>0</start>',
+        `                        <end>${frames}</end>`,
+        '                        <in>0</in>',
+        `                        <out>${frames}</out>`,
+        '                        <file id="file-1">',
+        `                            <name>${xmlEscape(audio.name)}</name>`,
+        `                            <pathurl>${xmlEscape(url)}</pathurl>`,
+        ...rateXml('                            '),
+        `                            <duration>${frames}</duration>`,
+        '                            <media>',
+        '                                <audio>',
+        `                                    <channelcount>${audio.channels}</channelcount>`,
+        '                                    <samplecharacteristics>',
+        `                                        <samplerate>${audio.sampleRate}</samplerate>`,
+        '                                    </samplecharacteristics>',
+        '                                </audio>',
+        '                            </media>',
+        '                        </file>',
+        '                    </clipitem>',
+        '                </track>',
+        '            </audio>',
+        '        </media>',
+        ...markerXml,
+        '    </sequence>',
+        '</xmeml>',
+        '',
+    ].join('\n');
+}
+
+module.exports = {
+    EDL_MAX_EVENTS,
+    MARKER_LEVELS,
+    EXPORT_FORMATS,
+    collectMarkers,
+    buildCutListEDL,
+};
@@ -0,0 +1,200 @@
+'use strict';
+
+const { snapToGrid, classifyBeat, eighthAt, barNumber } = require('./grid');
+
+// ── Onset Detection ───────────────────────────────────────────────────────────
+// Spectral flux: how much louder each frequency bin got since the previous
+// frame, summed over a band. Peaks of the flux above a moving threshold are
+// onsets {time, strength}, strength 0..1 relative to the band's loudest hit.
+// The bands roughly isolate kick, snare and hi-hats so cuts can follow one
+// instrument instead of the metronome.
+
+const FRAME = 1024;             // samples per FFT frame
+const HOP   = 512;
+const MEAN_RADIUS = 0.2;        // s either side for the moving threshold
+const PEAK_RADIUS = 0.03;       // s a peak must be the maximum over
+const DELTA       = 0.06;       // flux above the moving mean to count
+const MIN_GAP     = 0.05;       // s between onsets in one band
+
+const ONSET_BANDS = {
+    full:  { label: 'All',   lo: 0,    hi: Infinity },
+    kick:  { label: 'Kick',  lo: 30,   hi: 150 },
+    snare: { label: 'Snare', lo: 150,  hi: 4000 },
+    hats:  { label: 'Hats',  lo: 6000, hi: Infinity },
+};
+
+const SNAP_MODES = {
+    grid:  { label: 'Snap to grid' },
+    onset: { label: 'Snap to onset' },
+};
+
+const CUT_POINTS = 64;          // strongest onsets listed in the JSON export
+
+// In-place radix-2 FFT of re/im (length a power of two)
+function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let len = 2; len <= n; len <<= 1) {
+        const ang = -2 * Math.PI / len;
+        const wr = Math.cos(ang), wi = Math.sin(ang);
+        for (let i = 0; i < n; i += len) {
+            let cr = 1, ci = 0;
+            for (let k = 0; k < len / 2; k++) {
+                const a = i + k, b = a + len / 2;
+                const tr = re[b] * cr - im[b] * ci;
+                const ti = re[b] * ci + im[b] * cr;
+                re[b] = re[a] - tr;
+                im[b] = im[a] - ti;
+                re[a] += tr;
+                im[a] += ti;
+                const nr = cr * wr - ci * wi;
+                ci = cr * wi + ci * wr;
+                cr = nr;
+            }
+        }
+    }
+}
+
+// Flux per band, one value per hop: {band: Float32Array}
+function spectralFlux(samples, sampleRate) {
+    const frames = Math.max(0, Math.floor((samples.length - FRAME) / HOP) + 1);
+    const bins   = FRAME / 2;
+    const window = new Float32Array(FRAME).map((_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / FRAME));
+    const ranges = Object.entries(ONSET_BANDS).map(([id, b]) => [
+        id,
+        Math.max(1, Math.floor(b.lo * FRAME / sampleRate)),
+        Math.min(bins, Math.ceil(Math.min(b.hi, sampleRate / 2) * FRAME / sampleRate)),
+    ]);
+    const flux = Object.fromEntries(ranges.map(([id]) => [id, new Float32Array(frames)]));
+
+    const re = new Float64Array(FRAME);
+    const im = new Float64Array(FRAME);
+    let prev = new Float32Array(bins);
+    let mag  = new Float32Array(bins);
+    for (let f = 0; f < frames; f++) {
+        const at = f * HOP;
+        for (let i = 0; i < FRAME; i++) {
+            re[i] = samples[at + i] * window[i];
+            im[i] = 0;
+        }
+        fft(re, im);
+        // Log magnitude so quiet hits in a loud mix still register
+        for (let k = 0; k < bins; k++) mag[k] = Math.log1p(100 * Math.sqrt(re[k] * re[k] + im[k] * im[k]));
+        if (f > 0) {
+            for (const [id, lo, hi] of ranges) {
+                let sum = 0;
+                for (let k = lo; k < hi; k++) {
+                    const d = mag[k] - prev[k];
+                    if (d > 0) sum += d;
+                }
+                flux[id][f] = sum / Math.max(1, hi - lo);
+            }
+        }
+        [prev, mag] = [mag, prev];
+    }
+    return flux;
+}
+
+// Peaks of one band's flux → [{time, strength}]
+function pickPeaks(flux, sampleRate) {
+    const fps   = sampleRate / HOP;
+    const meanR = Math.round(MEAN_RADIUS * fps);
+    const peakR = Math.max(1, Math.round(PEAK_RADIUS * fps));
+    let max = 0;
+    for (const v of flux) if (v > max) max = v;
+    if (max <= 0) return [];
+
+    const norm = Float32Array.from(flux, (v) => v / max);
+    // Running sum for the moving mean
+    const sums = new Float64Array(norm.length + 1);
+    for (let i = 0; i < norm.length; i++) sums[i + 1] = sums[i] + norm[i];
+
+    const out = [];
+    for (let f = 1; f < norm.length - 1; f++) {
+        const v = norm[f];
+        const a = Math.max(0, f - meanR), b = Math.min(norm.length, f + meanR + 1);
+        if (v < (sums[b] - sums[a]) / (b - a) + DELTA) continue;
+        let isPeak = true;
+        for (let k = Math.max(0, f - peakR); k <= Math.min(norm.length - 1, f + peakR) && isPeak; k++) {
+            if (norm[k] > v || (norm[k] === v && k < f)) isPeak = false;
+        }
+        if (!isPeak) continue;
+        // The frame is centred on the rise; report its middle
+        const time = (f * HOP + FRAME / 2) / sampleRate;
+        const last = out[out.length - 1];
+        if (last && time - last.time < MIN_GAP) {
+            if (v > last.strength) Object.assign(last, { time, strength: v });
+            continue;
+        }
+        out.push({ time, strength: v });
+    }
+    return out.map((o) => ({ time: parseFloat(o.time.toFixed(4)), strength: parseFloat(o.strength.toFixed(3)) }));
+}
+
+// Onsets for every band: {full: [{time, strength}], kick: [...], ...}
+function detectOnsets(samples, sampleRate) {
+    const flux = spectralFlux(samples, sampleRate);
+    return Object.fromEntries(Object.keys(ONSET_BANDS).map((id) => [id, pickPeaks(flux[id], sampleRate)]));
+}
+
+// Nearest onset within maxDist seconds of t, or null
+function nearestOnset(t, onsets, maxDist) {
+    let lo = 0, hi = onsets.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (onsets[mid].time < t) lo = mid + 1;
+        else hi = mid;
+    }
+    let best = null;
+    for (const o of [onsets[lo - 1], onsets[lo]]) {
+        if (o && Math.abs(o.time - t) <= maxDist && (!best || Math.abs(o.time - t) < Math.abs(best.time - t))) best = o;
+    }
+    return best;
+}
+
+// The strongest onsets across the drum bands as cut suggestions, best first.
+// An onset heard in several bands counts once, with its strongest band; each
+// carries where it falls on the grid so editors can tell pushes from pulls.
+function rankCutPoints(onsets, grid, limit = CUT_POINTS) {
+    const all = [];
+    for (const band of ['kick', 'snare', 'hats']) {
+        for (const o of onsets[band] || []) all.push({ ...o, band });
+    }
+    all.sort((a, b) => b.strength - a.strength);
+    const picked = [];
+    for (const o of all) {
+        if (picked.length >= limit) break;
+        if (picked.some((p) => Math.abs(p.time - o.time) < MIN_GAP)) continue;
+        picked.push(o);
+    }
+    return picked.map((o, i) => {
+        const nearest = snapToGrid(o.time, grid);
+        return {
+            rank:         i + 1,
+            time:         o.time,
+            strength:     o.strength,
+            band:         o.band,
+            bar:          barNumber(Math.round(eighthAt(nearest, grid)), grid),
+            beat_type:    classifyBeat(nearest, grid),
+            grid_time:    parseFloat(nearest.toFixed(4)),
+            off_grid_ms:  Math.round((o.time - nearest) * 1000),
+        };
+    });
+}
+
+module.exports = {
+    ONSET_BANDS,
+    SNAP_MODES,
+    fft,
+    detectOnsets,
+    nearestOnset,
+    rankCutPoints,
+};
@@ -0,0 +1,37 @@
+'use strict';
+
+// ── File Paths ────────────────────────────────────────────────────────────────
+// The sandboxed renderer has no Node `path`, so the lib modules it shares use
+// these. Both separators are accepted since paths may come from Windows.
+
+function baseName(p, ext = '') {
+    const name = String(p).split(/[\\/]/).pop();
+    return ext && name.endsWith(ext) ? name.slice(0, -ext.length) : name;
+}
+
+// '.wav' (with the dot, like path.extname), '' when there is none
+function extName(p) {
+    const name = baseName(p);
+    const dot  = name.lastIndexOf('.');
+    return dot > 0 ? name.slice(dot) : '';
+}
+
+function dirName(p) {
+    const s  = String(p);
+    const at = Math.max(s.lastIndexOf('/'), s.lastIndexOf('\\'));
+    return at > 0 ? s.slice(0, at) : at === 0 ? s[0] : '.';
+}
+
+// file:// URL of an absolute path, like url.pathToFileURL(p).href
+function fileUrl(p) {
+    let s = String(p).replace(/\\/g, '/');
+    if (/^[a-zA-Z]:/.test(s)) s = '/' + s;
+    return 'file://' + encodeURI(s).replace(/[?#]/g, encodeURIComponent);
+}
+
+module.exports = {
+    baseName,
+    extName,
+    dirName,
+    fileUrl,
+};
@@ -0,0 +1,110 @@
+'use strict';
+
+// ── Waveform Peaks ────────────────────────────────────────────────────────────
+// A min/max pyramid of one channel, so the waveform draws at any zoom without
+// scanning samples: level 0 holds the min and max of each BASE samples,
+// every level above merges pairs of buckets from the one below. Buckets also
+// carry the mean-square energy of three bands (lows under LOW_HZ, highs over
+// HIGH_HZ, mids between) for the band-coloured waveform. Built once per file
+// by the analysis worker.
+//   {length, gain: [low, mid, high], levels: [{size, min, max, low, mid, high}]}
+
+const BASE        = 64;     // samples per level-0 bucket
+const MIN_BUCKETS = 512;    // coarsest level keeps at least this many
+const LOW_HZ      = 200;
+const HIGH_HZ     = 2000;
+const GAIN_SIZE   = 4096;   // bucket size (samples) the band gains are taken at
+
+const BANDS = ['low', 'mid', 'high'];
+
+function buildPeaks(samples, sampleRate) {
+    const n    = Math.ceil(samples.length / BASE);
+    const base = { size: BASE, min: new Float32Array(n), max: new Float32Array(n) };
+    for (const b of BANDS) base[b] = new Float32Array(n);
+
+    // One-pole low-passes split the bands
+    const aLow  = 1 - Math.exp(-2 * Math.PI * LOW_HZ / sampleRate);
+    const aHigh = 1 - Math.exp(-2 * Math.PI * HIGH_HZ / sampleRate);
+    let lpLow = 0, lpHigh = 0;
+    for (let b = 0; b < n; b++) {
+        let mn = 0, mx = 0, eLow = 0, eMid = 0, eHigh = 0;
+        const from = b * BASE, end = Math.min(samples.length, from + BASE);
+        for (let i = from; i < end; i++) {
+            const s = samples[i];
+            if (s < mn) mn = s;
+            if (s > mx) mx = s;
+            lpLow  += aLow * (s - lpLow);
+            lpHigh += aHigh * (s - lpHigh);
+            eLow  += lpLow * lpLow;
+            eMid  += (lpHigh - lpLow) * (lpHigh - lpLow);
+            eHigh += (s - lpHigh) * (s - lpHigh);
+        }
+        const count = Math.max(1, end - from);
+        base.min[b]  = mn;
+        base.max[b]  = mx;
+        base.low[b]  = eLow / count;
+        base.mid[b]  = eMid / count;
+        base.high[b] = eHigh / count;
+    }
+
+    const levels = [base];
+    for (let prev = base; prev.min.length > MIN_BUCKETS;) {
+        const half  = Math.ceil(prev.min.length / 2);
+        const level = { size: prev.size * 2, min: new Float32Array(half), max: new Float32Array(half) };
+        for (const k of BANDS) level[k] = new Float32Array(half);
+        for (let b = 0; b < half; b++) {
+            const i = 2 * b, j = Math.min(2 * b + 1, prev.min.length - 1);
+            level.min[b] = Math.min(prev.min[i], prev.min[j]);
+            level.max[b] = Math.max(prev.max[i], prev.max[j]);
+            for (const k of BANDS) level[k][b] = (prev[k][i] + prev[k][j]) / 2;
+        }
+        levels.push(level);
+        prev = level;
+    }
+
+    // Each band scaled to its own loudest stretch, so colour shows balance
+    const ref  = levels.find((l) => l.size >= GAIN_SIZE) || levels[levels.length - 1];
+    const gain = BANDS.map((k) => {
+        let top = 0;
+        for (const e of ref[k]) if (e > top) top = e;
+        return top > 0 ? 1 / Math.sqrt(top) : 0;
+    });
+    return { length: samples.length, gain, levels };
+}
+
+// Level and bucket range covering samples [from, to): the coarsest level
+// whose buckets still fit, at least one bucket
+function bucketsFor(peaks, from, to) {
+    let level = peaks.levels[0];
+    for (const l of peaks.levels) if (l.size <= to - from) level = l;
+    const first = Math.max(0, Math.floor(from / level.size));
+    const end   = Math.min(level.min.length, Math.max(first + 1, Math.floor(to / level.size)));
+    return { level, first, end };
+}
+
+// [min, max] of samples [from, to)
+function peakRange(peaks, from, to) {
+    const { level, first, end } = bucketsFor(peaks, from, to);
+    let mn = 0, mx = 0;
+    for (let b = first; b < end; b++) {
+        if (level.min[b] < mn) mn = level.min[b];
+        if (level.max[b] > mx) mx = level.max[b];
+    }
+    return [mn, mx];
+}
+
+// [low, mid, high] RMS of samples [from, to), each 0..1 of its band's gain
+function bandRange(peaks, from, to) {
+    const { level, first, end } = bucketsFor(peaks, from, to);
+    return BANDS.map((k, i) => {
+        let sum = 0;
+        for (let b = first; b < end; b++) sum += level[k][b];
+        return Math.min(1, Math.sqrt(sum / Math.max(1, end - first)) * peaks.gain[i]);
+    });
+}
+
+module.exports = {
+    buildPeaks,
+    peakRange,
+    bandRange,
+};
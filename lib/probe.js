@@ -0,0 +1,67 @@
+'use strict';
+
+const { execFile } = require('child_process');
+
+// ── Media Probing ─────────────────────────────────────────────────────────────
+// Footage and audio metadata from a local ffprobe, for the main process.
+// Chromium can't open every camera format (MTS, some MKV), a <video> gives no
+// frame rate or timecode and decoded audio comes back at the context's sample
+// rate, so this is tried first; the renderer falls back to its media elements
+// when ffprobe is missing or fails.
+//   {duration, fps, width, height, codec, start_tc, sample_rate}
+// Fields ffprobe doesn't report are null.
+
+const CLIP_EXTENSIONS = ['mp4', 'mov', 'avi', 'mkv', 'webm', 'mts', 'm2ts', 'm4v', 'mxf'];
+
+const PROBE_TIMEOUT = 15000;    // ms
+
+// '30000/1001' → 29.97, null for '0/0' and the like
+function parseRate(r) {
+    const [num, den] = String(r || '').split('/').map(Number);
+    const fps = den ? num / den : num;
+    return fps > 0 && isFinite(fps) ? parseFloat(fps.toFixed(3)) : null;
+}
+
+// ffprobe's JSON → clip metadata, or null when there is nothing playable
+function parseProbe(info) {
+    const streams = info.streams || [];
+    const format  = info.format || {};
+    const video   = streams.find((s) => s.codec_type === 'video' && !(s.disposition && s.disposition.attached_pic));
+    const audio   = streams.find((s) => s.codec_type === 'audio');
+    const stream  = video || audio;
+    const duration = parseFloat(format.duration) || parseFloat(stream && stream.duration) || null;
+    if (!stream || !duration) return null;
+
+    // The start timecode sits on the video stream, a tmcd data stream or the container
+    const tagged = [video, ...streams, format].find((s) => s && s.tags && s.tags.timecode);
+    return {
+        duration,
+        fps:         video ? parseRate(video.avg_frame_rate) || parseRate(video.r_frame_rate) : null,
+        width:       video ? video.width || null : null,
+        height:      video ? video.height || null : null,
+        codec:       stream.codec_name || null,
+        start_tc:    tagged ? tagged.tags.timecode : null,
+        sample_rate: audio ? parseInt(audio.sample_rate, 10) || null : null,
+    };
+}
+
+// → metadata, or null if ffprobe isn't installed or can't read the file
+function probeMedia(filePath) {
+    return new Promise((resolve) => {
+        execFile('ffprobe', [
+            '-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath,
+        ], { timeout: PROBE_TIMEOUT, maxBuffer: 16 * 1024 * 1024 }, (err, stdout) => {
+            if (err) return resolve(null);
+            try {
+                resolve(parseProbe(JSON.parse(stdout)));
+            } catch {
+                resolve(null);
+            }
+        });
+    });
+}
+
+module.exports = {
+    CLIP_EXTENSIONS,
+    probeMedia,
+};
@@ -0,0 +1,282 @@
+'use strict';
+
+const { timeAtEighth, eighthAt } = require('./grid');
+const { fft } = require('./onsets');
+
+// ── Song Sections ─────────────────────────────────────────────────────────────
+// Intro / verse / chorus segmentation on bar boundaries. Every bar gets a
+// chroma (harmony) plus band-energy (timbre) vector; a checkerboard kernel
+// along the diagonal of the bar self-similarity matrix peaks where the song
+// changes character. Segments that sound alike are grouped and named: the
+// loudest repeated group is the chorus, other repeated groups are verses (or
+// pre-choruses when they always lead into a chorus), one-offs at the ends are
+// intro/outro and in the middle bridges. A section is
+//   {bar, kind, label}
+// starting on 1-based `bar` and running to the next one; the first section
+// also covers any pickup before bar 1.
+
+const FRAME = 4096;
+const HOP   = 2048;
+const KERNEL_BARS  = 4;       // checkerboard half-width
+const MIN_BARS     = 4;       // shortest detected section
+const PHRASE_BONUS = 0.25;    // novelty (in std devs) added on 4-bar phrase lines
+const SAME_GROUP   = 0.9;     // segment similarity, relative to their own, to count as a repeat
+const TIMBRE_EDGES = [60, 150, 400, 1000, 2500, 6000, 12000];   // Hz
+
+const SECTION_KINDS = {
+    intro:     { label: 'Intro' },
+    verse:     { label: 'Verse' },
+    prechorus: { label: 'Pre-Chorus' },
+    chorus:    { label: 'Chorus' },
+    bridge:    { label: 'Bridge' },
+    outro:     { label: 'Outro' },
+};
+
+// Bars that start before `duration`, counting from bar 1
+function barCount(grid, duration) {
+    return Math.max(1, Math.ceil(eighthAt(duration, grid) / grid.slots.length - 1e-6));
+}
+
+// Start time of a 1-based bar, never before 0
+function barStart(bar, grid) {
+    return Math.max(0, timeAtEighth((bar - 1) * grid.slots.length, grid));
+}
+
+// Unit feature vector and RMS for every bar: {features: [Float64Array], loudness: [n]}
+function barFeatures(samples, sampleRate, grid, duration) {
+    const bars   = barCount(grid, duration);
+    const bins   = FRAME / 2;
+    const bands  = TIMBRE_EDGES.length - 1;
+    const pitch  = new Int8Array(bins).fill(-1);
+    const band   = new Int8Array(bins).fill(-1);
+    for (let k = 1; k < bins; k++) {
+        const f = k * sampleRate / FRAME;
+        if (f >= 55 && f <= 5000) pitch[k] = (((Math.round(12 * Math.log2(f / 440)) + 69) % 12) + 12) % 12;
+        for (let j = 0; j < bands; j++) if (f >= TIMBRE_EDGES[j] && f < TIMBRE_EDGES[j + 1]) band[k] = j;
+    }
+    const window = new Float32Array(FRAME).map((_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / FRAME));
+
+    const chroma = Array.from({ length: bars }, () => new Float64Array(12));
+    const timbre = Array.from({ length: bars }, () => new Float64Array(bands));
+    const energy = new Float64Array(bars);
+    const frames = new Uint32Array(bars);
+    const re = new Float64Array(FRAME);
+    const im = new Float64Array(FRAME);
+    for (let at = 0; at + FRAME <= samples.length; at += HOP) {
+        const t = (at + FRAME / 2) / sampleRate;
+        const b = Math.min(bars - 1, Math.max(0, Math.floor(eighthAt(t, grid) / grid.slots.length)));
+        for (let i = 0; i < FRAME; i++) {
+            re[i] = samples[at + i] * window[i];
+            im[i] = 0;
+        }
+        fft(re, im);
+        for (let k = 1; k < bins; k++) {
+            const p = re[k] * re[k] + im[k] * im[k];
+            if (pitch[k] >= 0) chroma[b][pitch[k]] += Math.sqrt(p);
+            if (band[k] >= 0) timbre[b][band[k]] += p;
+        }
+        let sum = 0;
+        for (let i = 0; i < FRAME; i++) sum += samples[at + i] * samples[at + i];
+        energy[b] += sum / FRAME;
+        frames[b]++;
+    }
+
+    // Timbre as log energy, z-scored per band so no band dominates
+    const logT = timbre.map((v, b) => v.map((e) => Math.log1p(e / Math.max(1, frames[b]))));
+    for (let j = 0; j < bands; j++) {
+        const mean = logT.reduce((s, v) => s + v[j], 0) / bars;
+        const std  = Math.sqrt(logT.reduce((s, v) => s + (v[j] - mean) ** 2, 0) / bars) || 1;
+        for (const v of logT) v[j] = (v[j] - mean) / std;
+    }
+    const unit = (v) => {
+        const n = Math.hypot(...v);
+        return n > 0 ? v.map((x) => x / n) : v;
+    };
+    // Chroma and timbre weigh the same: each half has length 1/√2
+    const features = chroma.map((c, b) => Float64Array.from(
+        [...unit(c), ...unit(logT[b])], (x) => x / Math.SQRT2));
+    const loudness = Array.from(energy, (e, b) => Math.sqrt(e / Math.max(1, frames[b])));
+    return { features, loudness };
+}
+
+function dot(a, b) {
+    let s = 0;
+    for (let i = 0; i < a.length; i++) s += a[i] * b[i];
+    return s;
+}
+
+// Checkerboard novelty at the start of every bar (index 0 is always 0)
+function novelty(sim) {
+    const n   = sim.length;
+    const out = new Float64Array(n);
+    for (let b = 1; b < n; b++) {
+        let sum = 0, count = 0;
+        for (let i = -KERNEL_BARS; i < KERNEL_BARS; i++) {
+            for (let j = -KERNEL_BARS; j < KERNEL_BARS; j++) {
+                const x = b + i, y = b + j;
+                if (x < 0 || y < 0 || x >= n || y >= n) continue;
+                sum += ((i < 0) === (j < 0) ? 1 : -1) * sim[x][y];
+                count++;
+            }
+        }
+        out[b] = count ? sum / count : 0;
+    }
+    return out;
+}
+
+// Bar indexes where sections start: 0 plus the strongest novelty peaks that
+// are at least MIN_BARS apart and from either end
+function pickBoundaries(nov) {
+    const n    = nov.length;
+    const vals = Array.from(nov).slice(1);
+    const mean = vals.reduce((s, v) => s + v, 0) / Math.max(1, vals.length);
+    const std  = Math.sqrt(vals.reduce((s, v) => s + (v - mean) ** 2, 0) / Math.max(1, vals.length)) || 1;
+    const score = (b) => nov[b] + (b % 4 === 0 ? PHRASE_BONUS * std : 0);
+
+    const candidates = [];
+    for (let b = MIN_BARS; b <= n - MIN_BARS; b++) {
+        if (score(b) <= mean) continue;
+        if (score(b) >= score(b - 1) && score(b) >= (b + 1 < n ? score(b + 1) : -Infinity)) candidates.push(b);
+    }
+    candidates.sort((a, b) => score(b) - score(a));
+    const picked = [0];
+    for (const b of candidates) {
+        if (picked.every((p) => Math.abs(p - b) >= MIN_BARS)) picked.push(b);
+    }
+    return picked.sort((a, b) => a - b);
+}
+
+// Mean similarity between two bar ranges [a0, a1) × [b0, b1)
+function blockMean(sim, a0, a1, b0, b1) {
+    let sum = 0;
+    for (let i = a0; i < a1; i++) for (let j = b0; j < b1; j++) sum += sim[i][j];
+    return sum / ((a1 - a0) * (b1 - b0));
+}
+
+// Group index per segment: a segment joins the most similar earlier group
+// whose first segment it resembles about as much as each resembles itself
+function groupSegments(sim, segs) {
+    const self   = segs.map(([a, b]) => blockMean(sim, a, b, a, b));
+    const groups = [];
+    return segs.map(([a, b], i) => {
+        let best = -1, bestSim = -Infinity;
+        groups.forEach((first, g) => {
+            const [c, d] = segs[first];
+            const s = blockMean(sim, a, b, c, d);
+            if (s >= SAME_GROUP * (self[i] + self[first]) / 2 && s > bestSim) {
+                best = g;
+                bestSim = s;
+            }
+        });
+        if (best >= 0) return best;
+        groups.push(i);
+        return groups.length - 1;
+    });
+}
+
+// Kind per segment from its group, position and loudness
+function nameSegments(segGroup, segLoud) {
+    const n       = segGroup.length;
+    const members = (g) => segGroup.map((x, i) => (x === g ? i : -1)).filter((i) => i >= 0);
+    const groupLoud = (g) => members(g).reduce((s, i) => s + segLoud[i], 0) / members(g).length;
+    // Only the first and last segment alike is an intro/outro pair, not a repeat
+    const repeated  = [...new Set(segGroup)].filter((g) => members(g).length > 1
+        && members(g).some((i) => i > 0 && i < n - 1));
+    if (n === 1) return ['verse'];
+
+    const kinds = new Array(n).fill(null);
+    if (repeated.length) {
+        const chorus = repeated.reduce((a, b) => (groupLoud(b) > groupLoud(a) ? b : a));
+        const others = repeated.filter((g) => g !== chorus)
+            .sort((a, b) => members(b).length - members(a).length || members(a)[0] - members(b)[0]);
+        others.forEach((g, k) => {
+            const leadsIn = members(g).every((i) => segGroup[i + 1] === chorus);
+            for (const i of members(g)) kinds[i] = k > 0 && leadsIn ? 'prechorus' : 'verse';
+        });
+        for (const i of members(chorus)) kinds[i] = 'chorus';
+    } else {
+        // Nothing repeats: the loudest middle segment is the chorus
+        const middle = segLoud.map((_, i) => i).filter((i) => i > 0 && i < n - 1);
+        if (middle.length) kinds[middle.reduce((a, b) => (segLoud[b] > segLoud[a] ? b : a))] = 'chorus';
+        for (const i of middle) kinds[i] = kinds[i] || 'verse';
+    }
+    return kinds.map((k, i) => k || (i === 0 ? 'intro' : i === n - 1 ? 'outro' : 'bridge'));
+}
+
+// "Verse 1", "Verse 2", ... for kinds that occur more than once
+function labelKinds(kinds) {
+    const seen = {};
+    return kinds.map((k) => {
+        const total = kinds.filter((x) => x === k).length;
+        seen[k] = (seen[k] || 0) + 1;
+        return total > 1 ? `${SECTION_KINDS[k].label} ${seen[k]}` : SECTION_KINDS[k].label;
+    });
+}
+
+// Sections of a track on its grid: [{bar, kind, label}]
+function detectSections(samples, sampleRate, grid, duration) {
+    const { features, loudness } = barFeatures(samples, sampleRate, grid, duration);
+    const sim    = features.map((a) => features.map((b) => dot(a, b)));
+    const starts = pickBoundaries(novelty(sim));
+    const segs   = starts.map((a, i) => [a, starts[i + 1] ?? features.length]);
+    const segLoud = segs.map(([a, b]) => loudness.slice(a, b).reduce((s, v) => s + v, 0) / (b - a));
+    const kinds  = nameSegments(groupSegments(sim, segs), segLoud);
+    const labels = labelKinds(kinds);
+    return starts.map((b, i) => ({ bar: b + 1, kind: kinds[i], label: labels[i] }));
+}
+
+// Clean up edited or loaded sections: whole bars inside the track, sorted,
+// one per bar, the first on bar 1
+function normalizeSections(sections, grid, duration) {
+    const last = barCount(grid, duration);
+    const byBar = new Map();
+    for (const s of sections || []) {
+        const bar = Math.min(Math.max(Math.round(s.bar), 1), last);
+        if (!isFinite(bar)) continue;
+        byBar.set(bar, {
+            bar,
+            kind:  SECTION_KINDS[s.kind] ? s.kind : 'verse',
+            label: String(s.label || (SECTION_KINDS[s.kind] || SECTION_KINDS.verse).label),
+        });
+    }
+    const out = [...byBar.values()].sort((a, b) => a.bar - b.bar);
+    if (out.length) out[0].bar = 1;
+    return out;
+}
+
+// Sections with their extent: [{bar, kind, label, end_bar, start, end}]
+function sectionRanges(sections, grid, duration) {
+    return sections.map((s, i) => {
+        const next = sections[i + 1];
+        return {
+            ...s,
+            end_bar: next ? next.bar - 1 : barCount(grid, duration),
+            start:   i === 0 ? 0 : Math.min(barStart(s.bar, grid), duration),
+            end:     next ? Math.min(barStart(next.bar, grid), duration) : duration,
+        };
+    });
+}
+
+// Footage each section needs and how much of it assembled clips cover
+function sectionFootage(ranges, slots) {
+    return ranges.map((r) => {
+        let covered = 0;
+        for (const s of slots) {
+            if (!s.clip) continue;
+            const from = Math.max(r.start, s.start);
+            const to   = Math.min(r.end, s.start + (s.out - s.in));
+            if (to > from) covered += to - from;
+        }
+        return { ...r, needed: r.end - r.start, covered };
+    });
+}
+
+module.exports = {
+    SECTION_KINDS,
+    barCount,
+    barStart,
+    detectSections,
+    normalizeSections,
+    sectionRanges,
+    sectionFootage,
+};
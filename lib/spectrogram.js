@@ -0,0 +1,55 @@
+'use strict';
+
+const { fft } = require('./onsets');
+
+// ── Spectrogram ───────────────────────────────────────────────────────────────
+// Log-frequency magnitude image of one channel for the spectrogram lane:
+//   {width, height, hop, sampleRate, data: Uint8Array}
+// `data` is row-major with the highest band in row 0; values are 0..255 over
+// the DB_RANGE below the loudest cell. Column c is centred on sample c·hop,
+// and hop grows with the track so the image stays a drawable canvas.
+
+const FRAME       = 2048;
+const ROWS        = 128;
+const F_LO        = 30;       // Hz
+const F_HI        = 16000;
+const DB_RANGE    = 80;
+const MIN_HOP     = 512;      // samples
+const MAX_COLUMNS = 16384;
+
+function buildSpectrogram(samples, sampleRate) {
+    const hop   = Math.max(MIN_HOP, Math.ceil(samples.length / MAX_COLUMNS));
+    const width = Math.max(1, Math.ceil(samples.length / hop));
+    const top   = Math.min(F_HI, sampleRate / 2);
+    // FFT bin edges of each row, log-spaced from F_LO to the top
+    const edges  = Array.from({ length: ROWS + 1 }, (_, r) => F_LO * (top / F_LO) ** (r / ROWS) * FRAME / sampleRate);
+    const window = new Float32Array(FRAME).map((_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / FRAME));
+
+    const db = new Float32Array(width * ROWS);
+    const re = new Float64Array(FRAME);
+    const im = new Float64Array(FRAME);
+    let peak = -Infinity;
+    for (let c = 0; c < width; c++) {
+        const at = c * hop - FRAME / 2;
+        for (let i = 0; i < FRAME; i++) {
+            re[i] = (samples[at + i] || 0) * window[i];
+            im[i] = 0;
+        }
+        fft(re, im);
+        for (let r = 0; r < ROWS; r++) {
+            const k0 = Math.floor(edges[r]);
+            const k1 = Math.max(k0 + 1, Math.floor(edges[r + 1]));
+            let p = 0;
+            for (let k = k0; k < k1; k++) p = Math.max(p, re[k] * re[k] + im[k] * im[k]);
+            const v = 10 * Math.log10(p + 1e-12);
+            db[(ROWS - 1 - r) * width + c] = v;
+            if (v > peak) peak = v;
+        }
+    }
+    const data = Uint8Array.from(db, (v) => Math.max(0, Math.min(255, Math.round((v - peak + DB_RANGE) / DB_RANGE * 255))));
+    return { width, height: ROWS, hop, sampleRate, data };
+}
+
+module.exports = {
+    buildSpectrogram,
+};
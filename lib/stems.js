@@ -0,0 +1,55 @@
+'use strict';
+
+// ── Stems ─────────────────────────────────────────────────────────────────────
+// Optional separated parts of the track. BPM detection, onsets and
+// transcription can each listen to one instead of the full mix; playback, the
+// waveform and every export stay on the mix. A stem is
+//   {path, name, duration, sample_rate}
+// (sample_rate null when ffprobe isn't there to read it) and is only accepted
+// when it lines up with the mix.
+
+const STEM_KINDS = {
+    drums:        { label: 'Drums' },
+    vocals:       { label: 'Vocals' },
+    instrumental: { label: 'Instrumental' },
+};
+
+// What a stem can feed; each reads the mix unless a stem is picked
+const STEM_USES = {
+    tempo:         { label: 'BPM detection' },
+    onsets:        { label: 'Onsets' },
+    transcription: { label: 'Transcription' },
+};
+
+const DURATION_TOLERANCE = 0.1;   // s — encoders pad the ends a little
+
+const defaultSources = () => Object.fromEntries(Object.keys(STEM_USES).map((use) => [use, 'mix']));
+
+// null when the stem lines up with the mix ({duration, sample_rate}), else why not
+function checkStem(stem, mix) {
+    if (Math.abs(stem.duration - mix.duration) > DURATION_TOLERANCE) {
+        return `is ${stem.duration.toFixed(2)}s long, the mix ${mix.duration.toFixed(2)}s`;
+    }
+    if (stem.sample_rate && mix.sample_rate && stem.sample_rate !== mix.sample_rate) {
+        return `is ${stem.sample_rate} Hz, the mix ${mix.sample_rate} Hz`;
+    }
+    return null;
+}
+
+// Saved sources with unknown uses dropped and missing stems back on the mix
+function normalizeSources(sources, stems) {
+    const out = defaultSources();
+    for (const use of Object.keys(out)) {
+        const src = sources && sources[use];
+        if (src && STEM_KINDS[src] && stems[src]) out[use] = src;
+    }
+    return out;
+}
+
+module.exports = {
+    STEM_KINDS,
+    STEM_USES,
+    defaultSources,
+    checkStem,
+    normalizeSources,
+};
@@ -0,0 +1,175 @@
+'use strict';
+
+const { eighthAt, timeAtEighth } = require('./grid');
+
+// ── Subtitle Exports ──────────────────────────────────────────────────────────
+// Lyric words grouped into lines for SRT, WebVTT, ASS karaoke and enhanced
+// LRC. A line is [{word, start, end}] plus its own start/end. Words with an
+// end of their own (lib/lyrics raw_end/snapped_end) stop there; the others
+// run until the next word, and the last one until the line ends. A line with
+// a timed last word ends with it.
+
+const LINE_TAIL = 2;    // s a line stays up after its last word, at most
+
+const GROUPINGS = {
+    line: { label: 'Lyric lines' },
+    bar:  { label: 'Bars' },
+};
+
+const TIMINGS = {
+    snapped: { label: 'Snapped to grid', key: 'snapped_start', endKey: 'snapped_end' },
+    raw:     { label: 'Raw (as sung)',   key: 'raw_start',     endKey: 'raw_end' },
+};
+
+const SUBTITLE_FORMATS = {
+    srt: { label: 'SubRip',                ext: 'srt', build: buildSRT },
+    vtt: { label: 'WebVTT',                ext: 'vtt', build: buildVTT },
+    ass: { label: 'ASS karaoke (\\k)',     ext: 'ass', build: buildASS },
+    lrc: { label: 'Enhanced LRC (A2)',     ext: 'lrc', build: buildEnhancedLRC },
+};
+
+// Bar (0-based, bar 1 = 0) that a time falls in
+function barAt(t, grid) {
+    return Math.floor(Math.floor(eighthAt(t, grid) + 1e-6) / grid.slots.length);
+}
+
+// Group lyric entries into timed lines. `by: 'line'` follows the pasted
+// lyric lines and falls back to bars for words that have none.
+function groupLines(lyrics, grid, { by = 'line', timing = 'snapped', duration = Infinity } = {}) {
+    const { key, endKey } = TIMINGS[timing];
+    const words = lyrics
+        .map((e) => ({
+            word: e.word, start: e[key], until: e[endKey], line: e.line, bar: barAt(e.snapped_start, grid),
+        }))
+        .sort((a, b) => a.start - b.start);
+
+    const lines = [];
+    let groupKey = null;
+    for (const w of words) {
+        const k = by === 'line' && w.line !== undefined ? `l${w.line}` : `b${w.bar}`;
+        if (!lines.length || k !== groupKey) lines.push({ words: [], bar: w.bar });
+        groupKey = k;
+        lines[lines.length - 1].words.push({ word: w.word, start: w.start, until: w.until });
+    }
+
+    lines.forEach((line, i) => {
+        const next = lines[i + 1];
+        const last = line.words[line.words.length - 1];
+        const barEnd = timeAtEighth((line.bar + 1) * grid.slots.length, grid);
+        const held = last.until ?? last.start + (by === 'bar' ? 0.1 : LINE_TAIL);
+        let end = by === 'bar' ? Math.max(barEnd, held) : held;
+        if (next) end = Math.min(end, next.words[0].start);
+        line.start = line.words[0].start;
+        line.end   = Math.max(Math.min(end, duration), last.start);
+        line.words.forEach((w, k) => {
+            w.end = Math.min(k + 1 < line.words.length ? line.words[k + 1].start : line.end, w.until ?? Infinity);
+            delete w.until;
+        });
+        delete line.bar;
+    });
+    return lines;
+}
+
+function lineText(line) {
+    return line.words.map((w) => w.word).join(' ');
+}
+
+// 'HH:MM:SS<sep>mmm'
+function clock(t, sep) {
+    const ms = Math.max(0, Math.round(t * 1000));
+    const p  = (v, n = 2) => String(v).padStart(n, '0');
+    return `${p(Math.floor(ms / 3600000))}:${p(Math.floor(ms / 60000) % 60)}:`
+        + `${p(Math.floor(ms / 1000) % 60)}${sep}${p(ms % 1000, 3)}`;
+}
+
+function buildSRT(lines) {
+    return lines.map((line, i) =>
+        `${i + 1}\n${clock(line.start, ',')} --> ${clock(line.end, ',')}\n${lineText(line)}\n`,
+    ).join('\n');
+}
+
+// Cue text carries WebVTT timestamp tags so players can highlight each word
+function buildVTT(lines) {
+    const cues = lines.map((line) => {
+        const text = line.words.map((w, k) =>
+            (k ? `<${clock(w.start, '.')}>` : '') + vttEscape(w.word)).join(' ');
+        return `${clock(line.start, '.')} --> ${clock(line.end, '.')}\n${text}\n`;
+    });
+    return ['WEBVTT\n', ...cues].join('\n');
+}
+
+function vttEscape(s) {
+    return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// 'H:MM:SS.cc'
+function assClock(cs) {
+    const p = (v) => String(v).padStart(2, '0');
+    return `${Math.floor(cs / 360000)}:${p(Math.floor(cs / 6000) % 60)}:`
+        + `${p(Math.floor(cs / 100) % 60)}.${p(cs % 100)}`;
+}
+
+// One Dialogue event per line, each word prefixed with {\k<centiseconds>};
+// durations come from rounded absolute times so they add up exactly, and the
+// silence after a held word that stops early gets an empty {\k} of its own
+function buildASS(lines, { title = '' } = {}) {
+    const cs = (t) => Math.max(0, Math.round(t * 100));
+    const events = lines.map((line) => {
+        const text = line.words.map((w, k) => {
+            const gap = k ? cs(w.start) - cs(line.words[k - 1].end) : 0;
+            return (gap > 0 ? `{\\k${gap}}` : '') + `{\\k${cs(w.end) - cs(w.start)}}${assEscape(w.word)}`;
+        }).join(' ');
+        return `Dialogue: 0,${assClock(cs(line.start))},${assClock(cs(line.end))},Default,,0,0,0,,${text}`;
+    });
+    return [
+        '[Script Info]',
+        `Title: ${title}`,
+        'ScriptType: v4.00+',
+        'PlayResX: 1920',
+        'PlayResY: 1080',
+        'WrapStyle: 0',
+        '',
+        '[V4+ Styles]',
+        'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, '
+            + 'Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, '
+            + 'Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+        'Style: Default,Arial,72,&H0000D7FF,&H00FFFFFF,&H00000000,&H80000000,'
+            + '-1,0,0,0,100,100,0,0,1,3,1,2,60,60,80,1',
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+        ...events,
+        '',
+    ].join('\n');
+}
+
+function assEscape(s) {
+    return String(s).replace(/[{}]/g, '').replace(/\\/g, '\\\\');
+}
+
+function lrcClock(t) {
+    const cs = Math.max(0, Math.round(t * 100));
+    const p  = (v) => String(v).padStart(2, '0');
+    return `${p(Math.floor(cs / 6000))}:${p(Math.floor(cs / 100) % 60)}.${p(cs % 100)}`;
+}
+
+// A2 / enhanced LRC: [line start] then <word start> before every word and a
+// closing <line end>; a word that stops before the next one starts gets an
+// <end> stamp of its own
+function buildEnhancedLRC(lines, { title = '' } = {}) {
+    const body = lines.map((line) => `[${lrcClock(line.start)}] `
+        + line.words.map((w, k) => {
+            const next = line.words[k + 1];
+            const stop = next && lrcClock(w.end) !== lrcClock(next.start) ? ` <${lrcClock(w.end)}>` : '';
+            return `<${lrcClock(w.start)}> ${w.word}${stop}`;
+        }).join(' ')
+        + ` <${lrcClock(line.end)}>`);
+    return [...(title ? [`[ti:${title}]`] : []), ...body, ''].join('\n');
+}
+
+module.exports = {
+    GROUPINGS,
+    TIMINGS,
+    SUBTITLE_FORMATS,
+    groupLines,
+};
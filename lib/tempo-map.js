@@ -0,0 +1,136 @@
+'use strict';
+
+// ── Tempo Map ─────────────────────────────────────────────────────────────────
+// A tempo map is a list of segments [{beat, bpm}] sorted by `beat`: the
+// quarter-note position, counted from the bar-1 downbeat, where that tempo
+// takes effect. The first segment always sits at beat 0 and also covers the
+// pickup before bar 1. A constant tempo is simply [{beat: 0, bpm}].
+
+// Sort, drop invalid entries and repeated tempos, pin the first segment to 0
+function normalizeTempoMap(segments, fallbackBpm) {
+    const valid = (segments || [])
+        .filter((s) => isFinite(s.beat) && s.bpm > 0)
+        .sort((a, b) => a.beat - b.beat);
+    if (!valid.length) return [{ beat: 0, bpm: fallbackBpm }];
+
+    const out = [{ beat: 0, bpm: valid[0].bpm }];
+    for (const s of valid.slice(1)) {
+        const last = out[out.length - 1];
+        if (s.beat <= 0)               last.bpm = s.bpm;
+        else if (s.beat === last.beat) last.bpm = s.bpm;
+        else if (s.bpm !== last.bpm)   out.push({ beat: s.beat, bpm: s.bpm });
+    }
+    return out;
+}
+
+// Add each segment's absolute start `time`, given bar 1 at `offset`
+function resolveTempoMap(segments, offset) {
+    const out = [];
+    for (const seg of segments) {
+        const prev = out[out.length - 1];
+        const time = prev ? prev.time + (seg.beat - prev.beat) * 60 / prev.bpm : offset;
+        out.push({ beat: seg.beat, bpm: seg.bpm, time });
+    }
+    return out;
+}
+
+// Last segment whose `key` is <= v (binary search; first segment otherwise)
+function segmentAt(map, key, v) {
+    let lo = 0, hi = map.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (map[mid][key] <= v) lo = mid;
+        else hi = mid - 1;
+    }
+    return map[lo];
+}
+
+function timeAtBeat(map, beat) {
+    const s = segmentAt(map, 'beat', beat);
+    return s.time + (beat - s.beat) * 60 / s.bpm;
+}
+
+function beatAtTime(map, t) {
+    const s = segmentAt(map, 'time', t);
+    return s.beat + (t - s.time) * s.bpm / 60;
+}
+
+// ── Building from tracked beats ───────────────────────────────────────────────
+// beatTimes: tracked beat times (s). Bar start times are interpolated from
+// the beats, then runs of bars are merged greedily into one segment for as
+// long as a straight tempo through them keeps every bar line within
+// `maxError` seconds of the tracked position. Segment tempos span their bars
+// exactly, so error does not accumulate along the track.
+function buildTempoMap(beatTimes, { bpm, offset, quartersPerBar, maxError = 0.035 }) {
+    if (!beatTimes || beatTimes.length < 4) return [{ beat: 0, bpm }];
+
+    const q = 60 / bpm;
+
+    // The tracker may lock to half or double time relative to the quarter note
+    const gaps   = beatTimes.slice(1).map((t, i) => t - beatTimes[i]).sort((a, b) => a - b);
+    const median = gaps[gaps.length >> 1];
+    const step   = [0.5, 1, 2].reduce((a, b) =>
+        Math.abs(Math.log(median / q / b)) < Math.abs(Math.log(median / q / a)) ? b : a);
+
+    // Quarter-note position of each tracked beat, relative to bar 1
+    let ref = 0;
+    beatTimes.forEach((t, i) => {
+        if (Math.abs(t - offset) < Math.abs(beatTimes[ref] - offset)) ref = i;
+    });
+    const refBeat = Math.round((beatTimes[ref] - offset) / (q * step)) * step;
+    const pts     = beatTimes.map((time, i) => ({ beat: refBeat + (i - ref) * step, time }));
+
+    const timeAt = (beat) => {
+        let i = 1;
+        while (i < pts.length - 1 && pts[i].beat < beat) i++;
+        const a = pts[i - 1], b = pts[i];
+        return a.time + (beat - a.beat) * (b.time - a.time) / (b.beat - a.beat);
+    };
+
+    // Bar start times from bar 1 to the last tracked beat
+    const lastBeat = pts[pts.length - 1].beat;
+    const barTimes = [offset];
+    for (let k = 1; k * quartersPerBar <= lastBeat; k++) barTimes.push(timeAt(k * quartersPerBar));
+    if (barTimes.length < 2) return [{ beat: 0, bpm }];
+
+    const tempoOf = (from, to) =>
+        60 * quartersPerBar * (to - from) / (barTimes[to] - barTimes[from]);
+
+    const fits = (from, to) => {
+        const barLen = quartersPerBar * 60 / tempoOf(from, to);
+        for (let k = from + 1; k < to; k++) {
+            if (Math.abs(barTimes[from] + (k - from) * barLen - barTimes[k]) > maxError) return false;
+        }
+        return true;
+    };
+
+    const segments = [];
+    let start = 0;
+    for (let end = 2; end < barTimes.length; end++) {
+        if (fits(start, end)) continue;
+        segments.push({ beat: start * quartersPerBar, bpm: round3(tempoOf(start, end - 1)) });
+        start = end - 1;
+    }
+    segments.push({ beat: start * quartersPerBar, bpm: round3(tempoOf(start, barTimes.length - 1)) });
+
+    return normalizeTempoMap(segments, bpm);
+}
+
+// Every tempo times `factor` (½, 2, 1.5...) with segment times unchanged:
+// the same map counted in shorter or longer beats
+function scaleTempoMap(segments, factor) {
+    return segments.map((s) => ({ beat: round3(s.beat * factor), bpm: round3(s.bpm * factor) }));
+}
+
+function round3(v) {
+    return Math.round(v * 1000) / 1000;
+}
+
+module.exports = {
+    normalizeTempoMap,
+    resolveTempoMap,
+    timeAtBeat,
+    beatAtTime,
+    buildTempoMap,
+    scaleTempoMap,
+};
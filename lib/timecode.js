@@ -0,0 +1,119 @@
+'use strict';
+
+const { RANK, gridLines } = require('./grid');
+
+// ── Timecode ──────────────────────────────────────────────────────────────────
+// SMPTE timecode at the usual editing frame rates. NTSC rates run at
+// base × 1000/1001 fps and count frames against the rounded `base`; the
+// drop-frame variants skip frame numbers 0 and 1 (0–3 at 59.94) at the start
+// of every minute except each tenth, so the label tracks wall-clock time.
+
+const FRAME_RATES = {
+    '23.976':  { label: '23.976',       num: 24000, den: 1001, base: 24, drop: false },
+    '24':      { label: '24',           num: 24,    den: 1,    base: 24, drop: false },
+    '25':      { label: '25',           num: 25,    den: 1,    base: 25, drop: false },
+    '29.97':   { label: '29.97 NDF',    num: 30000, den: 1001, base: 30, drop: false },
+    '29.97df': { label: '29.97 DF',     num: 30000, den: 1001, base: 30, drop: true },
+    '30':      { label: '30',           num: 30,    den: 1,    base: 30, drop: false },
+    '50':      { label: '50',           num: 50,    den: 1,    base: 50, drop: false },
+    '59.94':   { label: '59.94 NDF',    num: 60000, den: 1001, base: 60, drop: false },
+    '59.94df': { label: '59.94 DF',     num: 60000, den: 1001, base: 60, drop: true },
+    '60':      { label: '60',           num: 60,    den: 1,    base: 60, drop: false },
+};
+
+// How the app shows times: positions as SMPTE timecode (from the project's
+// start timecode) or frame counts, intervals in frames in both
+const TIME_DISPLAYS = {
+    seconds:  { label: 'Seconds' },
+    timecode: { label: 'Timecode' },
+    frames:   { label: 'Frames' },
+};
+
+function frameRate(id) {
+    const rate = FRAME_RATES[id];
+    if (!rate) throw new Error(`Unknown frame rate: ${id}`);
+    return { id, fps: rate.num / rate.den, ...rate };
+}
+
+// Nearest frame to a time in seconds
+function secondsToFrames(t, rate) {
+    return Math.round(t * rate.num / rate.den);
+}
+
+function framesToSeconds(frames, rate) {
+    return frames * rate.den / rate.num;
+}
+
+function roundToFrame(t, rate) {
+    return framesToSeconds(secondsToFrames(t, rate), rate);
+}
+
+// How far the musical grid wanders off the frame grid over a song. Cutting
+// every bar a whole number of frames apart (a bar's length, rounded) leaves
+// the last bar `drift_frames` off the music; rounding each grid line to its
+// nearest frame instead is never more than `max_error_ms` off.
+function frameDrift(grid, duration, rate) {
+    const fps   = rate.num / rate.den;
+    const bars  = gridLines(grid, duration, RANK.downbeat);
+    const exact = grid.downbeat_whole * fps;
+    const whole = Math.max(1, Math.round(exact));
+    const drift = bars.length > 1 ? (bars.length - 1) * whole - (bars[bars.length - 1].t - bars[0].t) * fps : 0;
+    let maxError = 0;
+    for (const { t } of gridLines(grid, duration)) maxError = Math.max(maxError, Math.abs(roundToFrame(t, rate) - t));
+    return {
+        frames_per_bar:       parseFloat(exact.toFixed(3)),
+        whole_frames_per_bar: whole,
+        drift_frames:         parseFloat(drift.toFixed(2)),
+        drift_seconds:        parseFloat((drift / fps).toFixed(4)),
+        max_error_ms:         parseFloat((maxError * 1000).toFixed(1)),
+    };
+}
+
+// Frame numbers skipped per dropped minute
+function dropCount(rate) {
+    return rate.drop ? Math.round(rate.base / 15) : 0;
+}
+
+// Frame count → 'HH:MM:SS:FF' (';' before frames when drop-frame)
+function framesToTimecode(frames, rate) {
+    const base = rate.base;
+    let n = Math.max(0, Math.round(frames));
+    const drop = dropCount(rate);
+    if (drop) {
+        const per10 = base * 600 - drop * 9;
+        const perMin = base * 60 - drop;
+        const tens = Math.floor(n / per10);
+        const rem  = n % per10;
+        n += drop * 9 * tens + (rem > drop ? drop * Math.floor((rem - drop) / perMin) : 0);
+    }
+    const ff = n % base;
+    const ss = Math.floor(n / base) % 60;
+    const mm = Math.floor(n / (base * 60)) % 60;
+    const hh = Math.floor(n / (base * 3600)) % 24;
+    const p  = (v) => String(v).padStart(2, '0');
+    return `${p(hh)}:${p(mm)}:${p(ss)}${drop ? ';' : ':'}${p(ff)}`;
+}
+
+// 'HH:MM:SS:FF' (any of : ; . as separators) → frame count, or null
+function timecodeToFrames(tc, rate) {
+    const m = /^(\d{1,2})[:;.](\d{2})[:;.](\d{2})[:;.](\d{2})$/.exec(String(tc).trim());
+    if (!m) return null;
+    const [hh, mm, ss, ff] = m.slice(1).map(Number);
+    if (mm > 59 || ss > 59 || ff >= rate.base) return null;
+    const minutes = hh * 60 + mm;
+    const drop    = dropCount(rate);
+    return ((hh * 3600 + mm * 60 + ss) * rate.base + ff)
+        - drop * (minutes - Math.floor(minutes / 10));
+}
+
+module.exports = {
+    FRAME_RATES,
+    TIME_DISPLAYS,
+    frameRate,
+    secondsToFrames,
+    framesToSeconds,
+    roundToFrame,
+    frameDrift,
+    framesToTimecode,
+    timecodeToFrames,
+};
@@ -0,0 +1,60 @@
+'use strict';
+
+// ── Transcription Options ─────────────────────────────────────────────────────
+// The pickers' tables, kept apart from lib/transcribe.js so the sandboxed
+// renderer can use them without pulling in child_process.
+
+const WHISPER_MODELS = {
+    'tiny':     { label: 'Tiny (fastest)' },
+    'base':     { label: 'Base' },
+    'small':    { label: 'Small' },
+    'medium':   { label: 'Medium' },
+    'large-v3': { label: 'Large v3 (most accurate)' },
+};
+
+// Whisper language codes offered in the picker; 'auto' lets Whisper detect
+const LANGUAGES = {
+    auto: { label: 'Auto-detect' },
+    en:   { label: 'English' },
+    es:   { label: 'Spanish' },
+    pt:   { label: 'Portuguese' },
+    fr:   { label: 'French' },
+    de:   { label: 'German' },
+    it:   { label: 'Italian' },
+    nl:   { label: 'Dutch' },
+    sv:   { label: 'Swedish' },
+    pl:   { label: 'Polish' },
+    ru:   { label: 'Russian' },
+    uk:   { label: 'Ukrainian' },
+    tr:   { label: 'Turkish' },
+    ar:   { label: 'Arabic' },
+    hi:   { label: 'Hindi' },
+    ja:   { label: 'Japanese' },
+    ko:   { label: 'Korean' },
+    zh:   { label: 'Chinese' },
+};
+
+// `paths` are the config fields main runs or reads from; it only takes values
+// the user picked in its own file dialog
+const TRANSCRIBE_BACKENDS = {
+    'faster-whisper': {
+        label:    'faster-whisper (Python)',
+        defaults: { python: '' },
+        paths:    { python: 'Python' },
+    },
+    'whisper-cpp': {
+        label:    'whisper.cpp (local binary)',
+        defaults: { binary: '', modelsDir: '' },
+        paths:    { binary: 'whisper.cpp binary', modelsDir: 'models folder' },
+    },
+    'openai-http': {
+        label:    'OpenAI-compatible server (localhost)',
+        defaults: { url: 'http://127.0.0.1:8000/v1/audio/transcriptions', model: '' },
+    },
+};
+
+module.exports = {
+    WHISPER_MODELS,
+    LANGUAGES,
+    TRANSCRIBE_BACKENDS,
+};
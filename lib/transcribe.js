@@ -0,0 +1,173 @@
+'use strict';
+
+const { spawn, execSync, execFile } = require('child_process');
+const { WHISPER_MODELS, LANGUAGES, TRANSCRIBE_BACKENDS } = require('./transcribe-options');
+const whisperCpp  = require('./whisper-cpp');
+const whisperHttp = require('./whisper-http');
+
+// ── Transcription Backends ────────────────────────────────────────────────────
+// Every backend has check(config) → {ok, detail} | {ok: false, error} and
+// run(config, job) → {ok, data: {words, language}} | {ok: false, error,
+// cancelled?}, where job is {audioPath, modelSize, language, prompt, signal,
+// onSegment, onProgress}. transcribe() picks the backend from the settings
+// and cleans up its words, so callers always get [{word, start, end,
+// probability?}] and a language code; probability (0..1) is there when the
+// backend reports one. Shared by the Electron main process and the CLI.
+
+function findPython() {
+    for (const cmd of ['python3', 'python']) {
+        try {
+            execSync(`${cmd} --version`, { stdio: 'pipe' });
+            return cmd;
+        } catch {}
+    }
+    return null;
+}
+
+// ── faster-whisper ──
+// Runs transcribe.py, which streams one JSON event per line on stdout (info,
+// segment, done, error) and model loading messages on stderr. The script's
+// path comes with the job as `scriptPath`, since it moves when packaged.
+
+async function checkFasterWhisper(config) {
+    const python = config.python || findPython();
+    if (!python) return { ok: false, error: 'Python not found' };
+    return new Promise((resolve) => {
+        execFile(python, ['-c', 'import faster_whisper; print(faster_whisper.__version__)'], { timeout: 30000 },
+            (err, stdout) => resolve(err
+                ? { ok: false, error: `faster-whisper not installed for ${python} (pip install faster-whisper)` }
+                : { ok: true, detail: `faster-whisper ${stdout.trim()} · ${python}` }));
+    });
+}
+
+// After `signal` aborts the process is killed and this resolves
+// {ok: false, cancelled: true}; never rejects. onSegment({words, progress})
+// fires for every recognized segment, progress 0..1; onProgress gets stderr
+// messages.
+function runFasterWhisper(config, {
+    scriptPath, audioPath, modelSize = 'base', language = 'auto', prompt = '', signal, onSegment, onProgress,
+}) {
+    const pythonCmd = config.python || findPython();
+    if (!pythonCmd) return Promise.resolve({ ok: false, error: 'Python not found' });
+    return new Promise((resolve) => {
+        const args = [scriptPath, audioPath, '--model', modelSize, '--language', language];
+        if (prompt) args.push('--prompt', prompt);
+        const proc = spawn(pythonCmd, args, { signal });
+
+        const words = [];
+        let detected = null;
+        let error    = null;
+        let done     = false;
+        let buffer   = '';
+        let stderr   = '';
+
+        const handle = (line) => {
+            if (!line.trim()) return;
+            let evt;
+            try {
+                evt = JSON.parse(line);
+            } catch {
+                return;
+            }
+            if (evt.event === 'info') detected = evt.language;
+            else if (evt.event === 'segment') {
+                words.push(...evt.words);
+                if (onSegment) onSegment({ words: evt.words, progress: evt.progress });
+            } else if (evt.event === 'done') {
+                detected = evt.language;
+                done = true;
+            } else if (evt.event === 'error') error = evt.error;
+        };
+
+        proc.stdout.on('data', (d) => {
+            buffer += d.toString();
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(handle);
+        });
+        proc.stderr.on('data', (d) => {
+            stderr += d.toString();
+            if (onProgress) onProgress(d.toString().trim());
+        });
+        proc.on('close', () => {
+            handle(buffer);
+            if (signal && signal.aborted) resolve({ ok: false, cancelled: true, error: 'Cancelled' });
+            else if (error) resolve({ ok: false, error });
+            else if (!done) resolve({ ok: false, error: stderr.trim() || 'Transcription ended early' });
+            else resolve({ ok: true, data: { words, language: detected } });
+        });
+        // AbortError on cancel is reported by 'close' above
+        proc.on('error', (err) => {
+            if (err.name !== 'AbortError') resolve({ ok: false, error: err.message });
+        });
+    });
+}
+
+// ── Interface ──
+const BACKENDS = {
+    'faster-whisper': { ...TRANSCRIBE_BACKENDS['faster-whisper'], check: checkFasterWhisper, run: runFasterWhisper },
+    'whisper-cpp':    { ...TRANSCRIBE_BACKENDS['whisper-cpp'],    check: whisperCpp.check,  run: whisperCpp.run },
+    'openai-http':    { ...TRANSCRIBE_BACKENDS['openai-http'],    check: whisperHttp.check, run: whisperHttp.run },
+};
+
+// Saved settings merged over the defaults:
+//   {backend, 'faster-whisper': {...}, 'whisper-cpp': {...}, 'openai-http': {...}}
+function transcribeSettings(saved = {}) {
+    const out = { backend: BACKENDS[saved.backend] ? saved.backend : 'faster-whisper' };
+    for (const [id, b] of Object.entries(BACKENDS)) out[id] = { ...b.defaults, ...(saved[id] || {}) };
+    return out;
+}
+
+// Servers may answer with a language name ('english') instead of a code
+function languageCode(lang) {
+    if (!lang) return null;
+    const name = String(lang).toLowerCase();
+    const hit  = Object.entries(LANGUAGES).find(([id, l]) => id !== 'auto' && l.label.toLowerCase() === name);
+    return hit ? hit[0] : name;
+}
+
+function cleanWords(words) {
+    return words
+        .map((w) => ({
+            word:  String(w.word || '').trim(),
+            start: Number(w.start),
+            end:   Number(w.end),
+            probability: w.probability == null ? NaN : Number(w.probability),
+        }))
+        .filter((w) => w.word && isFinite(w.start))
+        .map((w) => ({
+            word:  w.word,
+            start: Math.round(Math.max(0, w.start) * 1e4) / 1e4,
+            end:   Math.round(Math.max(w.start, isFinite(w.end) ? w.end : w.start) * 1e4) / 1e4,
+            ...(isFinite(w.probability)
+                ? { probability: Math.round(Math.min(1, Math.max(0, w.probability)) * 1e4) / 1e4 } : {}),
+        }));
+}
+
+function checkBackend(settings, id = settings.backend) {
+    return BACKENDS[id].check(settings[id]);
+}
+
+// Run the selected backend; resolves like the backends' run(), never rejects
+async function transcribe(settings, job) {
+    const backend = BACKENDS[settings.backend];
+    const onSegment = job.onSegment && ((seg) => job.onSegment({ ...seg, words: cleanWords(seg.words) }));
+    try {
+        const result = await backend.run(settings[settings.backend], { ...job, onSegment });
+        if (!result.ok) return result;
+        const words = cleanWords(result.data.words).sort((a, b) => a.start - b.start);
+        return { ok: true, data: { words, language: languageCode(result.data.language) } };
+    } catch (err) {
+        return { ok: false, error: err.message };
+    }
+}
+
+module.exports = {
+    WHISPER_MODELS,
+    LANGUAGES,
+    BACKENDS,
+    findPython,
+    transcribeSettings,
+    checkBackend,
+    transcribe,
+};
@@ -0,0 +1,135 @@
+'use strict';
+
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const { spawn, execFile } = require('child_process');
+
+// ── whisper.cpp backend ───────────────────────────────────────────────────────
+// Runs a local whisper.cpp binary (whisper-cli, or `main` in older builds)
+// with ggml models from a folder: the picker's model `base` is
+// <modelsDir>/ggml-base.bin. With one word per segment (-ml 1 -sow) every
+// line on stdout is a word, so words stream like the Python backend.
+//   [00:00:01.230 --> 00:00:01.560]   Hello
+
+const NATIVE_AUDIO = ['.wav', '.mp3', '.flac', '.ogg'];
+
+const LINE     = /^\[(\d+):(\d+):(\d+\.\d+)\s*-->\s*(\d+):(\d+):(\d+\.\d+)\]\s*(.*)$/;
+const PROGRESS = /progress\s*=\s*(\d+)%/;
+const LANGUAGE = /auto-detected language:\s*([a-z]+)/;
+
+const clock = (h, m, s) => parseInt(h, 10) * 3600 + parseInt(m, 10) * 60 + parseFloat(s);
+
+function modelFile(config, modelSize) {
+    return path.join(config.modelsDir || '', `ggml-${modelSize}.bin`);
+}
+
+function listModels(config) {
+    try {
+        return fs.readdirSync(config.modelsDir)
+            .map((f) => /^ggml-(.+)\.bin$/.exec(f))
+            .filter(Boolean)
+            .map((m) => m[1]);
+    } catch {
+        return [];
+    }
+}
+
+async function check(config) {
+    if (!config.binary) return { ok: false, error: 'Set the whisper.cpp binary (whisper-cli)' };
+    const ran = await new Promise((resolve) => {
+        execFile(config.binary, ['--help'], { timeout: 5000 }, (err) => resolve(!err || err.code === 1));
+    });
+    if (!ran) return { ok: false, error: `Cannot run ${config.binary}` };
+    const models = listModels(config);
+    if (!models.length) return { ok: false, error: `No ggml-*.bin models in ${config.modelsDir || '(models folder not set)'}` };
+    return { ok: true, detail: `models: ${models.join(', ')}` };
+}
+
+// Formats the binary can't read are converted to 16 kHz mono WAV first
+function prepareAudio(audioPath, signal) {
+    if (NATIVE_AUDIO.includes(path.extname(audioPath).toLowerCase())) return Promise.resolve({ path: audioPath });
+    const tmp = path.join(os.tmpdir(), `bpm-grid-${process.pid}-${Date.now()}.wav`);
+    return new Promise((resolve) => {
+        const proc = spawn('ffmpeg', ['-v', 'error', '-y', '-i', audioPath, '-ar', '16000', '-ac', '1', tmp], { signal });
+        let stderr = '';
+        proc.stderr.on('data', (d) => { stderr += d.toString(); });
+        proc.on('error', (err) => {
+            if (err.name !== 'AbortError') resolve({ error: 'ffmpeg is needed to convert this file for whisper.cpp' });
+        });
+        proc.on('close', (code) => {
+            if (signal && signal.aborted) resolve({ cancelled: true });
+            else if (code !== 0) resolve({ error: `ffmpeg failed: ${stderr.trim()}` });
+            else resolve({ path: tmp, temporary: true });
+        });
+    });
+}
+
+async function run(config, { audioPath, modelSize = 'base', language = 'auto', prompt = '', signal, onSegment, onProgress }) {
+    const model = modelFile(config, modelSize);
+    if (!fs.existsSync(model)) {
+        const have = listModels(config);
+        return { ok: false, error: `No ${path.basename(model)} in ${config.modelsDir || '(models folder not set)'}`
+            + (have.length ? ` — available: ${have.join(', ')}` : '') };
+    }
+
+    if (onProgress) onProgress('Preparing audio...');
+    const audio = await prepareAudio(audioPath, signal);
+    if (audio.cancelled) return { ok: false, cancelled: true, error: 'Cancelled' };
+    if (audio.error) return { ok: false, error: audio.error };
+
+    const args = ['-m', model, '-f', audio.path, '-l', language, '-ml', '1', '-sow', '-pp'];
+    if (prompt) args.push('--prompt', prompt);
+
+    return new Promise((resolve) => {
+        const proc = spawn(config.binary, args, { signal });
+        const words  = [];
+        let detected = language === 'auto' ? null : language;
+        let progress = 0;
+        let buffer   = '';
+        let stderr   = '';
+
+        const handle = (line) => {
+            const m = LINE.exec(line.trim());
+            if (!m || !m[7].trim()) return;
+            const word = { word: m[7].trim(), start: clock(m[1], m[2], m[3]), end: clock(m[4], m[5], m[6]) };
+            words.push(word);
+            if (onSegment) onSegment({ words: [word], progress });
+        };
+        const cleanup = () => {
+            if (audio.temporary) fs.unlink(audio.path, () => {});
+        };
+
+        proc.stdout.on('data', (d) => {
+            buffer += d.toString();
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(handle);
+        });
+        proc.stderr.on('data', (d) => {
+            const text = d.toString();
+            stderr += text;
+            const p = PROGRESS.exec(text);
+            if (p) progress = parseInt(p[1], 10) / 100;
+            const l = LANGUAGE.exec(text);
+            if (l) detected = l[1];
+        });
+        proc.on('close', (code) => {
+            handle(buffer);
+            cleanup();
+            if (signal && signal.aborted) resolve({ ok: false, cancelled: true, error: 'Cancelled' });
+            else if (code !== 0) resolve({ ok: false, error: stderr.trim().split('\n').pop() || `whisper.cpp exited with ${code}` });
+            else resolve({ ok: true, data: { words, language: detected } });
+        });
+        proc.on('error', (err) => {
+            if (err.name === 'AbortError') return;
+            cleanup();
+            resolve({ ok: false, error: err.message });
+        });
+    });
+}
+
+module.exports = {
+    check,
+    run,
+};
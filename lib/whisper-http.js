@@ -0,0 +1,90 @@
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+// ── OpenAI-compatible HTTP backend ────────────────────────────────────────────
+// POSTs the audio to a /v1/audio/transcriptions endpoint (faster-whisper-server,
+// LocalAI, ...) and asks for word timestamps. Only servers on this machine
+// are used, so audio never leaves it. The response has no progress, so all
+// words arrive at once.
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+const CHECK_TIMEOUT = 3000;   // ms
+
+// URL object for a local endpoint, or an error message
+function endpoint(config) {
+    let url;
+    try {
+        url = new URL(config.url);
+    } catch {
+        return { error: `Invalid URL: ${config.url || '(not set)'}` };
+    }
+    if (!/^https?:$/.test(url.protocol)) return { error: 'The endpoint must be http:// or https://' };
+    if (!LOCAL_HOSTS.includes(url.hostname)) return { error: 'The endpoint must be on localhost' };
+    return { url };
+}
+
+// /v1/models next to /v1/audio/transcriptions
+function modelsUrl(url) {
+    const base = url.pathname.replace(/\/audio\/transcriptions\/?$/, '');
+    return new URL(base.replace(/\/$/, '') + '/models', url);
+}
+
+async function check(config) {
+    const { url, error } = endpoint(config);
+    if (error) return { ok: false, error };
+    try {
+        const res = await fetch(modelsUrl(url), { signal: AbortSignal.timeout(CHECK_TIMEOUT) });
+        if (res.status === 404) return { ok: true, detail: `${url.host} reachable` };
+        if (!res.ok) return { ok: false, error: `${url.host} answered ${res.status} ${res.statusText}` };
+        const body   = await res.json().catch(() => ({}));
+        const models = Array.isArray(body.data) ? body.data.map((m) => m.id) : [];
+        return { ok: true, detail: models.length ? `models: ${models.slice(0, 4).join(', ')}` : `${url.host} reachable` };
+    } catch (err) {
+        return { ok: false, error: `No server at ${url.host}: ${err.cause ? err.cause.code || err.cause.message : err.message}` };
+    }
+}
+
+// Word timestamps come top-level (OpenAI) or per segment (some servers)
+function responseWords(body) {
+    if (Array.isArray(body.words)) return body.words;
+    return (body.segments || []).flatMap((s) => s.words || []);
+}
+
+async function run(config, { audioPath, modelSize = 'base', language = 'auto', prompt = '', signal, onSegment, onProgress }) {
+    const { url, error } = endpoint(config);
+    if (error) return { ok: false, error };
+
+    const form = new FormData();
+    form.append('file', new Blob([await fs.promises.readFile(audioPath)]), path.basename(audioPath));
+    form.append('model', config.model || modelSize);
+    form.append('response_format', 'verbose_json');
+    form.append('timestamp_granularities[]', 'word');
+    form.append('timestamp_granularities[]', 'segment');
+    if (language !== 'auto') form.append('language', language);
+    if (prompt) form.append('prompt', prompt);
+
+    if (onProgress) onProgress(`Sending audio to ${url.host}...`);
+    try {
+        const res = await fetch(url, { method: 'POST', body: form, signal });
+        if (!res.ok) {
+            const text = await res.text().catch(() => '');
+            return { ok: false, error: `${url.host} answered ${res.status}: ${text.slice(0, 200) || res.statusText}` };
+        }
+        const body  = await res.json();
+        const words = responseWords(body);
+        if (!words.length && body.text) return { ok: false, error: 'The server returned no word timestamps' };
+        if (onSegment) onSegment({ words, progress: 1 });
+        return { ok: true, data: { words, language: body.language || null } };
+    } catch (err) {
+        if (err.name === 'AbortError') return { ok: false, cancelled: true, error: 'Cancelled' };
+        return { ok: false, error: err.cause ? err.cause.message : err.message };
+    }
+}
+
+module.exports = {
+    check,
+    run,
+};
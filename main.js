@@ -1,9 +1,40 @@
 const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const path   = require('path');
 const fs     = require('fs');
-const { spawn, execSync } = require('child_process');
+const { transcribeSettings, checkBackend, transcribe } = require('./lib/transcribe');
+const { WHISPER_MODELS, LANGUAGES, TRANSCRIBE_BACKENDS } = require('./lib/transcribe-options');
+const { AUDIO_EXTENSIONS } = require('./lib/decode');
+const { IMPORT_EXTENSIONS } = require('./lib/importers');
+const { SUBTITLE_FORMATS }  = require('./lib/subtitles');
+const { EXPORT_FORMATS }    = require('./lib/nle-export');
+const { CLIP_EXTENSIONS, probeMedia } = require('./lib/probe');
 
 let win;
+let transcription = null;   // AbortController of the running transcription
+
+const PROJECT_EXT    = 'bpmgrid';
+const MAX_RECENT     = 10;
+const recentPath     = () => path.join(app.getPath('userData'), 'recent-projects.json');
+const autosavePath   = () => path.join(app.getPath('userData'), 'autosave.' + PROJECT_EXT);
+const settingsPath   = () => path.join(app.getPath('userData'), 'settings.json');
+
+// What the renderer may save through 'save-file'
+const EXPORT_EXTENSIONS = new Set([
+    'json', 'lrc',
+    ...Object.values(SUBTITLE_FORMATS).map((f) => f.ext),
+    ...Object.values(EXPORT_FORMATS).map((f) => f.ext),
+]);
+
+// Project files the user opened or chose this session; 'save-project' only
+// writes to these without asking
+const projectPaths = new Set();
+
+// Executables and folders picked through 'pick-path' this session; the
+// transcription settings take no other paths than these and the saved ones
+const pickedPaths = new Set();
+
+const hasExtension = (filePath, exts) =>
+    typeof filePath === 'string' && exts.includes(path.extname(filePath).slice(1).toLowerCase());
 
 function createWindow() {
     win = new BrowserWindow({
@@ -14,18 +45,25 @@ function createWindow() {
         backgroundColor: '#0e0e0e',
         titleBarStyle: process.platform === 'darwin' ? 'hiddenInset' : 'default',
         webPreferences: {
-            nodeIntegration:    true,
-            contextIsolation:   false,
+            preload:            path.join(__dirname, 'preload.js'),
+            nodeIntegration:    false,
+            contextIsolation:   true,
+            sandbox:            true,
         },
         title: 'BPM Grid',
     });
 
     win.loadFile('index.html');
+
+    // The window only ever shows index.html
+    win.webContents.on('will-navigate', (e) => e.preventDefault());
+    win.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
 }
 
 app.whenReady().then(createWindow);
 
 app.on('window-all-closed', () => {
+    if (transcription) transcription.abort();
     if (process.platform !== 'darwin') app.quit();
 });
 
@@ -38,60 +76,268 @@ app.on('activate', () => {
 ipcMain.handle('open-file', async () => {
     const result = await dialog.showOpenDialog(win, {
         properties: ['openFile'],
-        filters: [{ name: 'Audio', extensions: ['mp3', 'wav', 'flac', 'm4a', 'ogg', 'aac'] }],
+        filters: [{ name: 'Audio', extensions: AUDIO_EXTENSIONS }],
     });
     return result.canceled ? null : result.filePaths[0];
 });
 
+ipcMain.handle('read-audio', (_, filePath) => {
+    if (!hasExtension(filePath, AUDIO_EXTENSIONS)) throw new Error('Not an audio file');
+    return fs.promises.readFile(filePath);
+});
+
+// The source sample rate, which decoding in the renderer hides; null without ffprobe
+ipcMain.handle('probe-audio', (_, filePath) => {
+    if (!hasExtension(filePath, AUDIO_EXTENSIONS)) throw new Error('Not an audio file');
+    return probeMedia(filePath);
+});
+
+// Exports always go through the save dialog, with an export extension
 ipcMain.handle('save-file', async (_, { content, defaultName, ext }) => {
+    if (typeof content !== 'string' || !EXPORT_EXTENSIONS.has(ext)) throw new Error('Unsupported export');
     const result = await dialog.showSaveDialog(win, {
-        defaultPath: defaultName,
+        defaultPath: path.basename(String(defaultName)),
         filters: [{ name: ext.toUpperCase(), extensions: [ext] }],
     });
     if (result.canceled) return null;
-    fs.writeFileSync(result.filePath, content, 'utf8');
-    return result.filePath;
+    const target = hasExtension(result.filePath, [ext]) ? result.filePath : `${result.filePath}.${ext}`;
+    fs.writeFileSync(target, content, 'utf8');
+    return target;
+});
+
+ipcMain.handle('import-lyrics', async (_, extensions) => {
+    const result = await dialog.showOpenDialog(win, {
+        properties: ['openFile'],
+        filters: [{ name: 'Timed Lyrics', extensions: IMPORT_EXTENSIONS.filter((e) => extensions.includes(e)) }],
+    });
+    if (result.canceled) return null;
+    const filePath = result.filePaths[0];
+    try {
+        return { ok: true, filePath, content: fs.readFileSync(filePath, 'utf8') };
+    } catch (err) {
+        return { ok: false, error: err.message };
+    }
 });
 
 ipcMain.handle('open-clips', async () => {
     const result = await dialog.showOpenDialog(win, {
         properties: ['openFile', 'multiSelections'],
-        filters: [{ name: 'Video', extensions: ['mp4', 'mov', 'avi', 'mkv', 'webm', 'mts', 'm4v'] }],
+        filters: [{ name: 'Video', extensions: CLIP_EXTENSIONS }],
     });
     return result.canceled ? null : result.filePaths;
 });
 
-ipcMain.handle('find-python', () => {
-    for (const cmd of ['python3', 'python']) {
-        try {
-            execSync(`${cmd} --version`, { stdio: 'pipe' });
-            return cmd;
-        } catch {}
+// null when ffprobe is unavailable; the renderer then reads the duration itself
+ipcMain.handle('probe-clip', (_, filePath) => {
+    if (!hasExtension(filePath, CLIP_EXTENSIONS)) throw new Error('Not a video file');
+    return probeMedia(filePath);
+});
+
+ipcMain.handle('pick-path', async (_, { title, directory }) => {
+    const result = await dialog.showOpenDialog(win, {
+        title,
+        properties: [directory ? 'openDirectory' : 'openFile'],
+    });
+    if (result.canceled) return null;
+    pickedPaths.add(result.filePaths[0]);
+    return result.filePaths[0];
+});
+
+// ── Settings / transcription ──────────────────────────────────────────────────
+// App-wide settings live in settings.json next to the recents; for now that is
+// the transcription backend and its per-backend config (see lib/transcribe.js).
+
+function readSettings() {
+    let saved = {};
+    try {
+        saved = JSON.parse(fs.readFileSync(settingsPath(), 'utf8'));
+    } catch {}
+    return { transcription: transcribeSettings(saved.transcription) };
+}
+
+// Error for the first path field set to something the user didn't pick, or null
+function unpickedPath(transcription) {
+    const saved = readSettings().transcription;
+    for (const [id, b] of Object.entries(TRANSCRIBE_BACKENDS)) {
+        for (const [key, label] of Object.entries(b.paths || {})) {
+            const value = transcription[id][key];
+            if (value && value !== saved[id][key] && !pickedPaths.has(value)) {
+                return `Choose the ${label} with its … button`;
+            }
+        }
     }
     return null;
+}
+
+ipcMain.handle('get-settings', () => readSettings());
+
+// → {ok: true, settings} or {ok: false, error}
+ipcMain.handle('save-settings', (_, settings) => {
+    const transcription = transcribeSettings(settings && settings.transcription);
+    const error = unpickedPath(transcription);
+    if (error) return { ok: false, error };
+    const next = { ...readSettings(), transcription };
+    writeAtomic(settingsPath(), JSON.stringify(next, null, 2));
+    return { ok: true, settings: next };
 });
 
-ipcMain.handle('transcribe', async (_, { audioPath, pythonCmd, modelSize }) => {
-    return new Promise((resolve) => {
-        const scriptPath = app.isPackaged
-            ? path.join(process.resourcesPath, 'transcribe.py')
-            : path.join(__dirname, 'transcribe.py');
-        const proc = spawn(pythonCmd, [scriptPath, audioPath, modelSize || 'base']);
-        let stdout = '';
-        let stderr = '';
+// Checks the given, possibly unsaved, backend config
+ipcMain.handle('check-backend', (_, { transcription, backend }) => {
+    const settings = transcribeSettings(transcription);
+    const error = unpickedPath(settings);
+    if (error) return { ok: false, error };
+    if (!Object.hasOwn(TRANSCRIBE_BACKENDS, backend)) return { ok: false, error: 'Unknown backend' };
+    return checkBackend(settings, backend);
+});
 
-        proc.stdout.on('data', (d) => { stdout += d.toString(); });
-        proc.stderr.on('data', (d) => {
-            stderr += d.toString();
-            win.webContents.send('transcribe-progress', d.toString().trim());
+// One transcription at a time; 'transcribe-cancel' stops it
+ipcMain.handle('transcribe', async (_, { audioPath, modelSize, language, prompt }) => {
+    if (!hasExtension(audioPath, AUDIO_EXTENSIONS)) return { ok: false, error: 'Not an audio file' };
+    if (!Object.hasOwn(WHISPER_MODELS, modelSize)) return { ok: false, error: 'Unknown Whisper model' };
+    if (!Object.hasOwn(LANGUAGES, language)) return { ok: false, error: 'Unknown language' };
+    if (typeof prompt !== 'string') return { ok: false, error: 'The prompt must be text' };
+    const scriptPath = app.isPackaged
+        ? path.join(process.resourcesPath, 'transcribe.py')
+        : path.join(__dirname, 'transcribe.py');
+    if (transcription) transcription.abort();
+    const job = transcription = new AbortController();
+    try {
+        return await transcribe(readSettings().transcription, {
+            scriptPath, audioPath, modelSize, language, prompt,
+            signal:     job.signal,
+            onSegment:  (seg) => win.webContents.send('transcribe-segment', seg),
+            onProgress: (msg) => win.webContents.send('transcribe-progress', msg),
         });
-        proc.on('close', () => {
-            try {
-                resolve({ ok: true, data: JSON.parse(stdout) });
-            } catch {
-                resolve({ ok: false, error: stderr || 'Failed to parse output' });
-            }
+    } finally {
+        if (transcription === job) transcription = null;
+    }
+});
+
+ipcMain.handle('transcribe-cancel', () => {
+    if (transcription) transcription.abort();
+});
+
+// ── Projects ──────────────────────────────────────────────────────────────────
+// Project files are JSON. The audio is stored by absolute path plus a path
+// relative to the project, so a project moved together with its audio still
+// opens; otherwise the renderer asks the user to relink.
+
+function writeAtomic(filePath, content) {
+    const tmp = filePath + '.tmp';
+    fs.writeFileSync(tmp, content, 'utf8');
+    fs.renameSync(tmp, filePath);
+}
+
+function readRecent() {
+    try {
+        return JSON.parse(fs.readFileSync(recentPath(), 'utf8'));
+    } catch {
+        return [];
+    }
+}
+
+function addRecent(filePath) {
+    const list = [filePath, ...readRecent().filter((p) => p !== filePath)].slice(0, MAX_RECENT);
+    try { writeAtomic(recentPath(), JSON.stringify(list, null, 2)); } catch {}
+}
+
+// First existing candidate for the project's audio, or null
+function resolveAudio(project, projectPath) {
+    const audio = project.audio || {};
+    const dir   = projectPath && path.dirname(projectPath);
+    const candidates = [
+        audio.path,
+        dir && audio.relative_path && path.resolve(dir, audio.relative_path),
+        dir && audio.name && path.join(dir, audio.name),
+    ];
+    return candidates.find((p) => p && fs.existsSync(p)) || null;
+}
+
+function readProject(filePath) {
+    if (!hasExtension(filePath, [PROJECT_EXT])) return { ok: false, error: 'Not a BPM Grid project' };
+    try {
+        const project = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (project.format !== 'bpm-grid-project') {
+            return { ok: false, error: 'Not a BPM Grid project' };
+        }
+        addRecent(filePath);
+        projectPaths.add(filePath);
+        return { ok: true, filePath, project, audioPath: resolveAudio(project, filePath) };
+    } catch (err) {
+        return { ok: false, error: err.message };
+    }
+}
+
+ipcMain.handle('open-project', async () => {
+    const result = await dialog.showOpenDialog(win, {
+        properties: ['openFile'],
+        filters: [{ name: 'BPM Grid Project', extensions: [PROJECT_EXT] }],
+    });
+    return result.canceled ? null : readProject(result.filePaths[0]);
+});
+
+ipcMain.handle('read-project', (_, filePath) => readProject(filePath));
+
+ipcMain.handle('save-project', async (_, { filePath, project, saveAs }) => {
+    let target = filePath;
+    if (!projectPaths.has(target) || saveAs) {
+        const result = await dialog.showSaveDialog(win, {
+            defaultPath: target || project.audio.name.replace(/\.[^.]+$/, '') + '.' + PROJECT_EXT,
+            filters: [{ name: 'BPM Grid Project', extensions: [PROJECT_EXT] }],
         });
-        proc.on('error', (err) => resolve({ ok: false, error: err.message }));
+        if (result.canceled) return null;
+        target = hasExtension(result.filePath, [PROJECT_EXT]) ? result.filePath : `${result.filePath}.${PROJECT_EXT}`;
+        projectPaths.add(target);
+    }
+    if (project.audio.path) {
+        project.audio.relative_path = path.relative(path.dirname(target), project.audio.path);
+    }
+    writeAtomic(target, JSON.stringify(project, null, 2));
+    addRecent(target);
+    return target;
+});
+
+ipcMain.handle('recent-projects', () =>
+    readRecent().map((p) => ({ path: p, name: path.basename(p), exists: fs.existsSync(p) })));
+
+ipcMain.handle('locate-audio', async (_, name) => {
+    const result = await dialog.showOpenDialog(win, {
+        title: `Locate ${name}`,
+        properties: ['openFile'],
+        filters: [{ name: 'Audio', extensions: AUDIO_EXTENSIONS }],
     });
+    return result.canceled ? null : result.filePaths[0];
+});
+
+// ── Autosave / crash recovery ─────────────────────────────────────────────────
+// The renderer autosaves unsaved work here; the file is removed on an explicit
+// save or reset, so one that survives to the next launch is recoverable work.
+// Only a project path main already trusts is kept with it, so a recovered
+// session can't make 'save-project' write somewhere the user never chose.
+
+ipcMain.handle('autosave', (_, snapshot) => {
+    const projectPath = snapshot && projectPaths.has(snapshot.projectPath) ? snapshot.projectPath : null;
+    try {
+        writeAtomic(autosavePath(), JSON.stringify({ ...snapshot, projectPath }));
+        return true;
+    } catch {
+        return false;
+    }
+});
+
+ipcMain.handle('clear-autosave', () => {
+    try { fs.unlinkSync(autosavePath()); } catch {}
+});
+
+ipcMain.handle('check-recovery', () => {
+    try {
+        const { project, projectPath } = JSON.parse(fs.readFileSync(autosavePath(), 'utf8'));
+        // Recents are main's own record of the projects opened and saved
+        if (hasExtension(projectPath, [PROJECT_EXT]) && readRecent().includes(projectPath)) {
+            projectPaths.add(projectPath);
+        }
+        return { project, projectPath, audioPath: resolveAudio(project, projectPath) };
+    } catch {
+        return null;
+    }
 });
@@ -0,0 +1,53 @@
+'use strict';
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+// ── Preload bridge ────────────────────────────────────────────────────────────
+// The renderer runs sandboxed with context isolation and no Node; this is
+// everything it may ask of the main process. Each call maps to one IPC
+// handler in main.js, which validates its arguments.
+
+// on<Event>(callback) subscribes and returns the unsubscribe function
+function subscribe(channel) {
+    return (callback) => {
+        const listener = (_, payload) => callback(payload);
+        ipcRenderer.on(channel, listener);
+        return () => ipcRenderer.removeListener(channel, listener);
+    };
+}
+
+contextBridge.exposeInMainWorld('bpmGrid', {
+    // Audio and footage
+    openAudio:     ()          => ipcRenderer.invoke('open-file'),
+    readAudio:     (filePath)  => ipcRenderer.invoke('read-audio', filePath),
+    probeAudio:    (filePath)  => ipcRenderer.invoke('probe-audio', filePath),
+    locateAudio:   (name)      => ipcRenderer.invoke('locate-audio', name),
+    openClips:     ()          => ipcRenderer.invoke('open-clips'),
+    probeClip:     (filePath)  => ipcRenderer.invoke('probe-clip', filePath),
+
+    // Exports and imports
+    saveExport:    ({ content, defaultName, ext }) => ipcRenderer.invoke('save-file', { content, defaultName, ext }),
+    importLyrics:  (extensions) => ipcRenderer.invoke('import-lyrics', extensions),
+
+    // Projects
+    openProject:    ()         => ipcRenderer.invoke('open-project'),
+    readProject:    (filePath) => ipcRenderer.invoke('read-project', filePath),
+    saveProject:    ({ filePath, project, saveAs }) => ipcRenderer.invoke('save-project', { filePath, project, saveAs }),
+    recentProjects: ()         => ipcRenderer.invoke('recent-projects'),
+    autosave:       (snapshot) => ipcRenderer.invoke('autosave', snapshot),
+    clearAutosave:  ()         => ipcRenderer.invoke('clear-autosave'),
+    checkRecovery:  ()         => ipcRenderer.invoke('check-recovery'),
+
+    // Settings
+    getSettings:   ()          => ipcRenderer.invoke('get-settings'),
+    saveSettings:  (settings)  => ipcRenderer.invoke('save-settings', settings),
+    checkBackend:  ({ transcription, backend }) => ipcRenderer.invoke('check-backend', { transcription, backend }),
+    pickPath:      ({ title, directory }) => ipcRenderer.invoke('pick-path', { title, directory }),
+
+    // Transcription
+    transcribe:          ({ audioPath, modelSize, language, prompt }) =>
+        ipcRenderer.invoke('transcribe', { audioPath, modelSize, language, prompt }),
+    cancelTranscribe:    ()    => ipcRenderer.invoke('transcribe-cancel'),
+    onTranscribeProgress: subscribe('transcribe-progress'),
+    onTranscribeSegment:  subscribe('transcribe-segment'),
+});
@@ -1,20 +1,66 @@
 'use strict';
 
-const { ipcRenderer } = require('electron');
-const MusicTempo       = require('music-tempo');
-const path             = require('path');
-const fs               = require('fs');
+// Sandboxed: main-process access goes through the preload bridge
+const api = window.bpmGrid;
+const { baseName, extName, dirName, fileUrl } = require('./lib/paths');
+const {
+    METERS, RANK, calcGrid, barNumber, snapToGrid, timeAtEighth, eighthAt,
+    gridLines, gridLinesBetween, countCuts, gridLevels,
+} = require('./lib/grid');
+const { normalizeTempoMap, scaleTempoMap } = require('./lib/tempo-map');
+const { FALLBACK_BPM, autoOffset, beatTempoMap } = require('./lib/analyze');
+const { snapTime, snapEntry, moveEntry } = require('./lib/lyrics');
+const { ONSET_BANDS, SNAP_MODES, rankCutPoints } = require('./lib/onsets');
+const {
+    SECTION_KINDS, barCount, normalizeSections, sectionRanges, sectionFootage,
+} = require('./lib/sections');
+const { STEM_KINDS, STEM_USES, defaultSources, checkStem, normalizeSources } = require('./lib/stems');
+const { peakRange, bandRange } = require('./lib/peaks');
+const { buildGridJSON, buildLRC } = require('./lib/export');
+const { alignLyrics } = require('./lib/align');
+const {
+    FRAME_RATES, TIME_DISPLAYS, frameRate, secondsToFrames, framesToTimecode, timecodeToFrames, frameDrift,
+} = require('./lib/timecode');
+const {
+    EDL_MAX_EVENTS, MARKER_LEVELS, EXPORT_FORMATS, collectMarkers, buildCutListEDL,
+} = require('./lib/nle-export');
+const { GROUPINGS, TIMINGS, SUBTITLE_FORMATS, groupLines } = require('./lib/subtitles');
+const { IMPORT_EXTENSIONS, importLyrics } = require('./lib/importers');
+const { WHISPER_MODELS, LANGUAGES, TRANSCRIBE_BACKENDS } = require('./lib/transcribe-options');
+const {
+    ASSEMBLE_MODES, barEnergy, cutTimes, slotRanges, clipRange, usableLength, trimSlot, assignClips, barLabel,
+} = require('./lib/assemble');
 
 // ── State ─────────────────────────────────────────────────────────────────────
 const state = {
     filePath:    null,
     audioBuffer: null,
     bpm:         null,
+    offset:      0,    // bar-1 downbeat time (s)
+    meter:       '4/4',
+    tempoMap:    null, // [{beat, bpm}] — see lib/tempo-map.js
+    beats:       [],   // [{time, strength}] from the beat tracker
+    detected:    null, // {bpm, beats, candidates} or null — the analysis worker's tempo
+    onsets:      null, // {band: [{time, strength}]} from lib/onsets, redone on load
+    peaks:       null, // {left, right, mid, side} waveform pyramids — see lib/peaks.js
+    spectrogram: null, // see lib/spectrogram.js, fetched when the lane is first shown
+    onsetBand:   'full',
+    snapMode:    'grid',
+    sections:    [],   // [{bar, kind, label}] — see lib/sections.js
+    stems:       {},   // kind → {path, name, duration, sample_rate} — see lib/stems.js
+    stemSources: defaultSources(), // use → 'mix' or a stem kind
+    sourceAnalysis: {}, // 'mix' or stem kind → {tempo, onsets} from the worker
     duration:    null,
     grid:        null,
     lyricsGrid:  [],
-    pythonCmd:   null,
-    clips:       [],   // [{name, path, duration}]
+    transcript:  [],    // last Whisper words [{word, start, end, probability?}], kept for alignment
+    frameRate:   '23.976',
+    startTimecode: '01:00:00:00',
+    timeDisplay: 'seconds', // TIME_DISPLAYS id
+    frameSnap:   false,     // snapped word times rounded to whole frames
+    whisper:     { model: 'base', language: 'auto', prompt: '' },
+    clips:       [],   // [{name, path, duration, in, out, fps, width, height, codec, start_tc, sample_rate}]
+    assembly:    { mode: 'bars', bars: 4, slots: [] },
 };
 
 // ── DOM ───────────────────────────────────────────────────────────────────────
@@ -27,28 +73,104 @@ const el = {
     browseBtn:      $('browseBtn'),
     bpmInput:       $('bpmInput'),
     redetectBtn:    $('redetectBtn'),
+    tapBtn:         $('tapBtn'),
+    tempoCandidates: $('tempoCandidates'),
+    meterSelect:    $('meterSelect'),
+    onsetBand:      $('onsetBand'),
+    snapMode:       $('snapMode'),
+    sectionsBtn:    $('sectionsBtn'),
+    sectionsModal:  $('sectionsModal'),
+    sectionList:    $('sectionList'),
+    sectionAddBar:  $('sectionAddBar'),
+    sectionAddBtn:  $('sectionAddBtn'),
+    sectionDetectBtn: $('sectionDetectBtn'),
+    sectionsCloseBtn: $('sectionsCloseBtn'),
+    stemsBtn:       $('stemsBtn'),
+    stemsModal:     $('stemsModal'),
+    stemList:       $('stemList'),
+    stemSources:    $('stemSources'),
+    stemsCloseBtn:  $('stemsCloseBtn'),
+    tempoMapBtn:    $('tempoMapBtn'),
+    tempoModal:     $('tempoModal'),
+    tempoList:      $('tempoList'),
+    tempoAddBar:    $('tempoAddBar'),
+    tempoAddBpm:    $('tempoAddBpm'),
+    tempoAddBtn:    $('tempoAddBtn'),
+    tempoRebuildBtn:$('tempoRebuildBtn'),
+    tempoFlattenBtn:$('tempoFlattenBtn'),
+    tempoCloseBtn:  $('tempoCloseBtn'),
+    offsetInput:    $('offsetInput'),
+    offsetAutoBtn:  $('offsetAutoBtn'),
     trackName:      $('trackName'),
     trackDuration:  $('trackDuration'),
     transcribeBtn:  $('transcribeBtn'),
     manualBtn:      $('manualBtn'),
     statusBar:      $('statusBar'),
     statusText:     $('statusText'),
+    statusCancelBtn:$('statusCancelBtn'),
     manualModal:    $('manualModal'),
+    manualAlignBtn: $('manualAlignBtn'),
+    importBtn:      $('importBtn'),
     lyricsInput:    $('lyricsInput'),
     manualCancelBtn:$('manualCancelBtn'),
     manualApplyBtn: $('manualApplyBtn'),
     lyricsSection:  $('lyricsSection'),
     lyricsGrid:     $('lyricsGrid'),
     wordCount:      $('wordCount'),
+    editWordBtn:    $('editWordBtn'),
+    insertWordBtn:  $('insertWordBtn'),
+    splitWordBtn:   $('splitWordBtn'),
+    mergeWordBtn:   $('mergeWordBtn'),
+    lockWordBtn:    $('lockWordBtn'),
+    deleteWordBtn:  $('deleteWordBtn'),
+    undoBtn:        $('undoBtn'),
+    redoBtn:        $('redoBtn'),
+    legend:         $('legend'),
+    gridStats:      $('gridStats'),
     exportBar:      $('exportBar'),
     exportJson:        $('exportJson'),
     exportLrc:         $('exportLrc'),
+    exportNle:         $('exportNle'),
+    exportSubs:        $('exportSubs'),
+    transcribeModal:     $('transcribeModal'),
+    transcribeModel:     $('transcribeModel'),
+    transcribeLanguage:  $('transcribeLanguage'),
+    transcribePrompt:    $('transcribePrompt'),
+    transcribeCancelBtn: $('transcribeCancelBtn'),
+    transcribeBackend:   $('transcribeBackend'),
+    transcribeStartBtn:  $('transcribeStartBtn'),
+    subsModal:         $('subsModal'),
+    subsFormat:        $('subsFormat'),
+    subsGroup:         $('subsGroup'),
+    subsTiming:        $('subsTiming'),
+    subsCancelBtn:     $('subsCancelBtn'),
+    subsExportBtn:     $('subsExportBtn'),
+    nleModal:          $('nleModal'),
+    nleFormat:         $('nleFormat'),
+    nleLevel:          $('nleLevel'),
+    nleWords:          $('nleWords'),
+    nleFrameRate:      $('nleFrameRate'),
+    frameRateSelect:   $('frameRateSelect'),
+    timeDisplay:       $('timeDisplay'),
+    frameSnapBtn:      $('frameSnapBtn'),
+    nleStartTc:        $('nleStartTc'),
+    nleCancelBtn:      $('nleCancelBtn'),
+    nleExportBtn:      $('nleExportBtn'),
     resetBtn:          $('resetBtn'),
     headerStatus:      $('headerStatus'),
     waveformCanvas:    $('waveformCanvas'),
     timelineCanvas:    $('timelineCanvas'),
     waveformScroll:    $('waveformScroll'),
     timelineScroll:    $('timelineScroll'),
+    waveformSpacer:    $('waveformSpacer'),
+    waveChannels:      $('waveChannels'),
+    waveColor:         $('waveColor'),
+    spectrogramBtn:    $('spectrogramBtn'),
+    spectrogramSection: $('spectrogramSection'),
+    spectrogramScroll: $('spectrogramScroll'),
+    spectrogramSpacer: $('spectrogramSpacer'),
+    spectrogramCanvas: $('spectrogramCanvas'),
+    timelineSpacer:    $('timelineSpacer'),
     // Footage tracker
     footageSection:    $('footageSection'),
     footageFill:       $('footageFill'),
@@ -57,10 +179,55 @@ const el = {
     footageRemaining:  $('footageRemaining'),
     footageTotal:      $('footageTotal'),
     footageClearBtn:   $('footageClearBtn'),
+    sectionFootage:    $('sectionFootage'),
     clipDrop:          $('clipDrop'),
     clipList:          $('clipList'),
+    assembleMode:      $('assembleMode'),
+    assembleBars:      $('assembleBars'),
+    assembleBarsWrap:  $('assembleBarsWrap'),
+    assembleBtn:       $('assembleBtn'),
+    assembleMeta:      $('assembleMeta'),
+    assembleEdlBtn:    $('assembleEdlBtn'),
+    assembleJsonBtn:   $('assembleJsonBtn'),
+    slotList:          $('slotList'),
+    // Transport
+    playBtn:           $('playBtn'),
+    transportTime:     $('transportTime'),
+    loopBtn:           $('loopBtn'),
+    clickBtn:          $('clickBtn'),
+    zoomOutBtn:        $('zoomOutBtn'),
+    zoomInBtn:         $('zoomInBtn'),
+    zoomFitBtn:        $('zoomFitBtn'),
+    zoomLevel:         $('zoomLevel'),
+    // Projects
+    openProjectBtn:    $('openProjectBtn'),
+    headerOpenBtn:     $('headerOpenBtn'),
+    saveBtn:           $('saveBtn'),
+    saveAsBtn:         $('saveAsBtn'),
+    settingsBtn:       $('settingsBtn'),
+    settingsModal:     $('settingsModal'),
+    backendSelect:     $('backendSelect'),
+    backendStatus:     $('backendStatus'),
+    backendCheckBtn:   $('backendCheckBtn'),
+    settingsCancelBtn: $('settingsCancelBtn'),
+    settingsSaveBtn:   $('settingsSaveBtn'),
+    recoveryBanner:    $('recoveryBanner'),
+    recoveryText:      $('recoveryText'),
+    recoverBtn:        $('recoverBtn'),
+    discardRecoveryBtn:$('discardRecoveryBtn'),
+    recentProjects:    $('recentProjects'),
+    recentList:        $('recentList'),
+    waveformPlayhead:  $('waveformPlayhead'),
+    timelinePlayhead:  $('timelinePlayhead'),
+    spectrogramPlayhead: $('spectrogramPlayhead'),
+    waveformLoop:      $('waveformLoop'),
+    timelineLoop:      $('timelineLoop'),
+    spectrogramLoop:   $('spectrogramLoop'),
 };
 
+// The lanes that share one time axis and scroll together
+const SCROLLERS = [el.waveformScroll, el.timelineScroll, el.spectrogramScroll];
+
 // ── Colors ────────────────────────────────────────────────────────────────────
 const C = {
     bg:       '#0a0a0a',
@@ -77,167 +244,511 @@ const C = {
     ruler:    '#181818',
 };
 
-// ── Grid Math ─────────────────────────────────────────────────────────────────
-function calcGrid(bpm) {
-    const q = 60.0 / bpm;
-    return {
-        eighth_note:    q / 2,
-        quarter_note:   q,
-        half_note:      q * 2,
-        downbeat_whole: q * 4,
-    };
-}
+// Compound-meter types share the colour of their simple-meter rank
+const BEAT_COLOR = {
+    downbeat: C.downbeat,
+    half:     C.half,
+    strong:   C.half,
+    quarter:  C.quarter,
+    weak:     C.quarter,
+    offbeat:  C.offbeat,
+};
 
-function snapToGrid(t, eighth) {
-    return Math.round(t / eighth) * eighth;
-}
+const SECTION_COLOR = {
+    intro:     '#4e8ef7',
+    verse:     C.offbeat,
+    prechorus: C.quarter,
+    chorus:    C.downbeat,
+    bridge:    '#a55eea',
+    outro:     '#4e8ef7',
+};
 
-function classifyBeat(snapped, grid) {
-    const { quarter_note: q, half_note: h, downbeat_whole: db } = grid;
-    const eps = 1e-4;
-    const near = (v, mod) => {
-        const r = ((v % mod) + mod) % mod;
-        return r < eps || (mod - r) < eps;
-    };
-    if (near(snapped, db)) return 'downbeat';
-    if (near(snapped, h))  return 'half';
-    if (near(snapped, q))  return 'quarter';
-    return 'offbeat';
-}
+const ONSET_COLOR = {
+    full:  C.text,
+    kick:  C.downbeat,
+    snare: C.half,
+    hats:  C.quarter,
+};
 
+// ── Grid Stats ────────────────────────────────────────────────────────────────
 function updateGridStats() {
     const { bpm, duration, grid } = state;
     if (!bpm || !duration || !grid) return;
 
-    const fmt   = (s) => s.toFixed(4) + 's';
-    const cuts  = (iv) => Math.floor(duration / iv).toLocaleString();
+    const levels = gridLevels(grid);
+    const frames = state.timeDisplay !== 'seconds' || state.frameSnap;
+
+    // Block count follows the meter (3/4 has no half-note level, 6/8 no offbeats),
+    // plus the frame drift when working in frames
+    el.gridStats.replaceChildren();
+    el.gridStats.style.gridTemplateColumns = `repeat(${levels.length + (frames ? 1 : 0)}, 1fr)`;
+    el.legend.replaceChildren();
+
+    const addBlock = (type, labelText, valueText, subText, title = '') => {
+        const block = document.createElement('div');
+        block.className = `stat-block ${type}`;
+        block.title     = title;
+
+        const label = document.createElement('div');
+        label.className   = 'stat-label';
+        label.textContent = labelText;
+
+        const value = document.createElement('div');
+        value.className   = 'stat-value';
+        value.textContent = valueText;
+
+        const sub = document.createElement('div');
+        sub.className   = 'stat-sub';
+        sub.textContent = subText;
+
+        block.append(label, value, sub);
+        el.gridStats.appendChild(block);
+    };
+
+    for (const lv of levels) {
+        addBlock(lv.type, lv.label,
+            lv.interval != null ? fmtInterval(lv.interval) : lv.pattern,
+            countCuts(lv.type, grid, duration).toLocaleString() + ' cuts'
+                + (lv.pattern && lv.interval != null ? ` · ${lv.pattern}` : ''));
+
+        const item = document.createElement('span');
+        item.className   = `legend-item ${lv.type}`;
+        item.textContent = '● ' + lv.label.split(' ')[0];
+        el.legend.appendChild(item);
+    }
+
+    if (frames) {
+        const rate  = frameRate(state.frameRate);
+        const drift = frameDrift(grid, duration, rate);
+        addBlock('frames', `Frame drift @ ${rate.label}`,
+            (drift.drift_frames > 0 ? '+' : '') + drift.drift_frames + 'f',
+            `${drift.frames_per_bar} f/bar · ±${drift.max_error_ms}ms per line`,
+            `Cutting every ${drift.whole_frames_per_bar} frames ends ${drift.drift_frames} frames `
+                + `(${Math.round(drift.drift_seconds * 1000)}ms) off the last bar; `
+                + `rounding each grid line to a frame is at most ${drift.max_error_ms}ms off`);
+    }
+}
+
+// ── Analysis Worker ───────────────────────────────────────────────────────────
+// Tempo, onsets, waveform peaks and sections are computed in
+// analysis-worker.js (bundled next to this file) and cached there per file.
+const analysisWorker = new Worker('bundle/analysis-worker.js');
+const analysisJobs   = new Map(); // id → {resolve, reject, onProgress}
+let analysisSeq      = 0;
+let analysisKey      = null;      // the loaded file, as the worker knows it
+
+analysisWorker.addEventListener('message', ({ data }) => {
+    const job = analysisJobs.get(data.id);
+    if (!job) return;
+    if (data.progress) {
+        if (job.onProgress) job.onProgress(data.progress);
+        return;
+    }
+    analysisJobs.delete(data.id);
+    if (data.ok) job.resolve(data.result);
+    else job.reject(new Error(data.error));
+});
+analysisWorker.addEventListener('error', (e) => {
+    for (const job of analysisJobs.values()) job.reject(new Error(e.message || 'Analysis failed'));
+    analysisJobs.clear();
+});
 
-    $('statDownbeat').textContent     = fmt(grid.downbeat_whole);
-    $('statDownbeatCount').textContent = cuts(grid.downbeat_whole) + ' cuts';
-    $('statHalf').textContent          = fmt(grid.half_note);
-    $('statHalfCount').textContent     = cuts(grid.half_note) + ' cuts';
-    $('statQuarter').textContent       = fmt(grid.quarter_note);
-    $('statQuarterCount').textContent  = cuts(grid.quarter_note) + ' cuts';
-    $('statOffbeat').textContent       = fmt(grid.eighth_note);
-    $('statOffbeatCount').textContent  = cuts(grid.eighth_note) + ' cuts';
+function runAnalysis(message, { transfer = [], onProgress = null } = {}) {
+    return new Promise((resolve, reject) => {
+        const id = ++analysisSeq;
+        analysisJobs.set(id, { resolve, reject, onProgress });
+        analysisWorker.postMessage({ ...message, id }, transfer);
+    });
 }
 
 // ── Audio Loading ─────────────────────────────────────────────────────────────
+// decodeAudioData already decodes off the main thread; the worker gets copies
+// of the first two channels (one for mono) for everything else: tempo and
+// onsets read the first, the stereo and mid/side waveforms both.
 async function loadAudioFile(filePath) {
     setStatus('Loading audio...');
-    const audioCtx  = new AudioContext();
-    const nodeBuf   = fs.readFileSync(filePath);
-    const arrayBuf  = nodeBuf.buffer.slice(
-        nodeBuf.byteOffset,
-        nodeBuf.byteOffset + nodeBuf.byteLength
+    const audioCtx  = audioContext();
+    const bytes     = await api.readAudio(filePath);
+    const arrayBuf  = bytes.buffer.slice(
+        bytes.byteOffset,
+        bytes.byteOffset + bytes.byteLength
     );
 
+    setStatus('Decoding audio...');
     const audioBuffer = await audioCtx.decodeAudioData(arrayBuf);
+    const channels    = [0, 1].slice(0, audioBuffer.numberOfChannels).map((c) => audioBuffer.getChannelData(c).slice());
+    const key         = `${filePath}:${bytes.byteLength}`;
+    const analysis    = await runAnalysis(
+        { type: 'analyze', key, channels, sampleRate: audioBuffer.sampleRate },
+        {
+            transfer:   channels.map((c) => c.buffer),
+            onProgress: ({ stage, step, steps }) => setStatus(`${stage}... (${step + 1}/${steps})`),
+        });
+
+    analysisKey       = key;
     state.audioBuffer = audioBuffer;
     state.duration    = audioBuffer.duration;
     state.filePath    = filePath;
+    state.detected    = analysis.tempo;
+    state.onsets      = analysis.onsets;
+    state.peaks       = analysis.peaks;
+    state.stems       = {};
+    state.stemSources = defaultSources();
+    state.sourceAnalysis = { mix: { tempo: analysis.tempo, onsets: analysis.onsets } };
+    renderStems();
+    state.spectrogram = analysis.spectrogram || null;
+    if (view.spectrogram) loadSpectrogram();
 
     const m = Math.floor(audioBuffer.duration / 60);
     const s = Math.floor(audioBuffer.duration % 60);
-    el.trackName.textContent     = path.basename(filePath);
+    el.trackName.textContent     = baseName(filePath);
     el.trackDuration.textContent = `${m}:${s.toString().padStart(2, '0')}`;
 
     return audioBuffer;
 }
 
-async function detectBPM(audioBuffer) {
-    setStatus('Detecting BPM...');
-    try {
-        const channelData = audioBuffer.getChannelData(0);
-        const mt = new MusicTempo(channelData);
-        const bpm = mt.tempo;
-        if (bpm >= 40 && bpm <= 280) return Math.round(bpm * 10) / 10;
-    } catch (e) {
-        console.warn('music-tempo error:', e);
-    }
-    return null;
-}
 
 // ── Canvas: Pixel-per-beat layout ─────────────────────────────────────────────
-const PX_PER_BEAT = 30; // pixels per quarter note at 1x zoom
+// The scroll containers hold a spacer as wide as the whole track at the
+// current zoom; each canvas is only viewport-sized, pinned to the scroll
+// position, and draws just the visible time range.
+const PX_PER_BEAT     = 30;        // pixels per quarter note at 1x zoom
+const ZOOM_MIN_PX     = 0.5;       // px per beat limits
+const ZOOM_MAX_PX     = 600;
+const MAX_CONTENT_PX  = 4_000_000; // keep the spacer well inside layout limits
+const ANCHOR_HIT_PX   = 6;         // grab distance for the bar-1 handle
+
+const view = {
+    pxPerBeat:    PX_PER_BEAT,
+    redraw:       null,    // pending rAF id
+    waveChannels: 'mix',   // WAVE_CHANNELS id
+    waveColor:    'bands', // WAVE_COLORS id
+    spectrogram:  false,   // spectrogram lane shown
+};
 
 function canvasWidth() {
     const { bpm, duration } = state;
     if (!bpm || !duration) return 800;
-    return Math.ceil((duration / (60 / bpm)) * PX_PER_BEAT) + 60;
+    return Math.ceil((duration / (60 / bpm)) * view.pxPerBeat) + 60;
 }
 
 function timeToX(t) {
     return (t / state.duration) * canvasWidth();
 }
 
-// ── Canvas: Waveform ──────────────────────────────────────────────────────────
-function drawWaveform() {
-    const { audioBuffer } = state;
-    if (!audioBuffer) return;
+function xToTime(x) {
+    return (x / canvasWidth()) * state.duration;
+}
+
+// Track x (content pixels) of a mouse event over a scroll container
+function contentX(e, scroller) {
+    return e.clientX - scroller.getBoundingClientRect().left + scroller.scrollLeft;
+}
+
+// Size the spacer to the full track, pin the canvas to the viewport and
+// return a context in CSS pixels plus the visible content range.
+function prepareCanvas(cnv, spacer, scroller, dispH) {
+    const dpr   = window.devicePixelRatio || 1;
+    const fullW = canvasWidth();
+    const left  = Math.min(scroller.scrollLeft, Math.max(0, fullW - scroller.clientWidth));
+    const dispW = Math.max(1, Math.min(scroller.clientWidth, fullW));
 
-    const dpr      = window.devicePixelRatio || 1;
-    const dispW    = canvasWidth();
-    const dispH    = 56;
-    const cnv      = el.waveformCanvas;
+    spacer.style.width  = fullW + 'px';
+    spacer.style.height = dispH + 'px';
 
     cnv.width        = dispW * dpr;
     cnv.height       = dispH * dpr;
     cnv.style.width  = dispW + 'px';
     cnv.style.height = dispH + 'px';
+    cnv.style.left   = left + 'px';
 
-    const ctx  = cnv.getContext('2d');
+    const ctx = cnv.getContext('2d');
     ctx.scale(dpr, dpr);
+    return { ctx, left, dispW };
+}
+
+// ── Canvas: Zoom ──────────────────────────────────────────────────────────────
+// `anchorX` is a viewport x that keeps pointing at the same time
+function setZoom(pxPerBeat, anchorX = el.timelineScroll.clientWidth / 2) {
+    if (!state.duration || !state.bpm) return;
+    const beats = state.duration / (60 / state.bpm);
+    const maxPx = Math.min(ZOOM_MAX_PX, MAX_CONTENT_PX / beats);
+    const t     = xToTime(el.timelineScroll.scrollLeft + anchorX);
+
+    view.pxPerBeat = Math.min(Math.max(pxPerBeat, ZOOM_MIN_PX), maxPx);
+    el.zoomLevel.textContent = Math.round((view.pxPerBeat / PX_PER_BEAT) * 100) + '%';
+
+    // Grow the spacers first so the new scroll position is reachable
+    for (const spacer of [el.waveformSpacer, el.timelineSpacer, el.spectrogramSpacer]) {
+        spacer.style.width = canvasWidth() + 'px';
+    }
+    el.timelineScroll.scrollLeft = Math.max(0, timeToX(t) - anchorX);
+    for (const scroller of SCROLLERS) scroller.scrollLeft = el.timelineScroll.scrollLeft;
+    redrawCanvases();
+}
+
+function zoomBy(factor, anchorX) {
+    setZoom(view.pxPerBeat * factor, anchorX);
+}
+
+function zoomToFit() {
+    if (!state.duration || !state.bpm) return;
+    const beats = state.duration / (60 / state.bpm);
+    setZoom((el.timelineScroll.clientWidth - 60) / beats, 0);
+}
+
+function redrawCanvases() {
+    drawWaveform();
+    drawTimeline();
+    drawSpectrogram();
+}
+
+// Coalesce scroll/resize redraws into one per frame
+function requestRedraw() {
+    if (view.redraw) return;
+    view.redraw = requestAnimationFrame(() => {
+        view.redraw = null;
+        redrawCanvases();
+    });
+}
+
+// ── Canvas: Waveform ──────────────────────────────────────────────────────────
+// Lanes are stacked top to bottom, each one of the worker's peak pyramids
+const WAVE_CHANNELS = {
+    mix:     { label: 'Mix',        lanes: ['mid'] },
+    left:    { label: 'Left',       lanes: ['left'] },
+    stereo:  { label: 'L / R',      lanes: ['left', 'right'] },
+    midside: { label: 'Mid / Side', lanes: ['mid', 'side'] },
+};
+
+const WAVE_COLORS = {
+    bands:  { label: 'Band colors' },
+    single: { label: 'Single color' },
+};
+
+const LANE_NAME = { left: 'L', right: 'R', mid: 'M', side: 'S' };
+
+// Lows red, mids green, highs blue; the loudest band sets the brightness
+function bandColor([low, mid, high]) {
+    const top = Math.max(low, mid, high);
+    if (top <= 0) return C.waveform;
+    const ch = (v) => Math.round(30 + 225 * (v / top) * (0.4 + 0.6 * top));
+    return `rgb(${ch(low)},${ch(mid)},${ch(high)})`;
+}
+
+function drawWaveform() {
+    const { audioBuffer, peaks } = state;
+    if (!audioBuffer || !peaks) return;
+
+    const dispH = 56;
+    const { ctx, left, dispW } = prepareCanvas(
+        el.waveformCanvas, el.waveformSpacer, el.waveformScroll, dispH);
 
     ctx.fillStyle = C.surface;
     ctx.fillRect(0, 0, dispW, dispH);
 
-    const data  = audioBuffer.getChannelData(0);
-    const step  = Math.max(1, Math.floor(data.length / dispW));
-    const mid   = dispH / 2;
-
-    ctx.strokeStyle = C.waveform;
-    ctx.lineWidth   = 1;
+    // Samples per content pixel; visible columns are read from the pyramids
+    const spp    = audioBuffer.length / canvasWidth();
+    const lanes  = WAVE_CHANNELS[view.waveChannels].lanes;
+    const laneH  = dispH / lanes.length;
+    const banded = view.waveColor === 'bands';
 
-    for (let i = 0; i < dispW; i++) {
-        let mn = 0, mx = 0;
-        for (let j = 0; j < step; j++) {
-            const s = data[i * step + j] || 0;
-            if (s < mn) mn = s;
-            if (s > mx) mx = s;
+    ctx.lineWidth = 1;
+    ctx.font      = '8px monospace';
+    ctx.textAlign = 'left';
+    lanes.forEach((lane, n) => {
+        const p   = peaks[lane];
+        const mid = laneH * n + laneH / 2;
+
+        ctx.strokeStyle = C.waveform;
+        for (let i = 0; i < dispW; i++) {
+            const from = (left + i) * spp;
+            if (from >= audioBuffer.length) break;
+            const to = from + Math.max(1, spp);
+            const [mn, mx] = peakRange(p, from, to);
+            if (banded) ctx.strokeStyle = bandColor(bandRange(p, from, to));
+            ctx.beginPath();
+            ctx.moveTo(i + 0.5, mid + mn * laneH / 2 * 0.95);
+            ctx.lineTo(i + 0.5, mid + mx * laneH / 2 * 0.95);
+            ctx.stroke();
         }
+
+        // Center line
+        ctx.strokeStyle = C.border;
         ctx.beginPath();
-        ctx.moveTo(i + 0.5, mid + mn * mid * 0.95);
-        ctx.lineTo(i + 0.5, mid + mx * mid * 0.95);
+        ctx.moveTo(0, mid);
+        ctx.lineTo(dispW, mid);
         ctx.stroke();
-    }
 
-    // Center line
-    ctx.strokeStyle = C.border;
-    ctx.lineWidth   = 1;
+        if (lanes.length > 1) {
+            ctx.fillStyle = C.muted2;
+            ctx.fillText(LANE_NAME[lane], 4, laneH * n + 9);
+        }
+    });
+
+    // Onset ticks from the top, as long as they are strong
+    if (!state.onsets || state.onsetBand === 'off') return;
+    ctx.strokeStyle = ONSET_COLOR[state.onsetBand];
+    ctx.globalAlpha = 0.7;
     ctx.beginPath();
-    ctx.moveTo(0, mid);
-    ctx.lineTo(dispW, mid);
+    for (const o of state.onsets[state.onsetBand]) {
+        const x = Math.round(timeToX(o.time) - left) + 0.5;
+        if (x < 0) continue;
+        if (x > dispW) break;
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, Math.max(3, o.strength * dispH * 0.4));
+    }
     ctx.stroke();
+    ctx.globalAlpha = 1;
+}
+
+// ── Canvas: Spectrogram ───────────────────────────────────────────────────────
+// The worker computes it the first time the lane is shown for a file; it is
+// drawn from an offscreen image of the whole track, stretched to the view.
+const SPECTRO_H     = 64;
+const SPECTRO_STOPS = [[10, 10, 10], [50, 20, 110], [180, 40, 110], [250, 140, 40], [255, 245, 190]];
+
+// 256-entry colour ramp through SPECTRO_STOPS
+const SPECTRO_LUT = Array.from({ length: 256 }, (_, v) => {
+    const pos = v / 255 * (SPECTRO_STOPS.length - 1);
+    const i   = Math.min(Math.floor(pos), SPECTRO_STOPS.length - 2);
+    const f   = pos - i;
+    return SPECTRO_STOPS[i].map((c, k) => Math.round(c + (SPECTRO_STOPS[i + 1][k] - c) * f));
+});
+
+let spectrogramImage = null; // {source, canvas} for the current state.spectrogram
+
+function spectrogramCanvas() {
+    const sg = state.spectrogram;
+    if (!sg) return null;
+    if (spectrogramImage && spectrogramImage.source === sg) return spectrogramImage.canvas;
+    const canvas = document.createElement('canvas');
+    canvas.width  = sg.width;
+    canvas.height = sg.height;
+    const ctx = canvas.getContext('2d');
+    const img = ctx.createImageData(sg.width, sg.height);
+    for (let i = 0; i < sg.data.length; i++) {
+        const [r, g, b] = SPECTRO_LUT[sg.data[i]];
+        img.data[4 * i]     = r;
+        img.data[4 * i + 1] = g;
+        img.data[4 * i + 2] = b;
+        img.data[4 * i + 3] = 255;
+    }
+    ctx.putImageData(img, 0, 0);
+    spectrogramImage = { source: sg, canvas };
+    return canvas;
+}
+
+async function loadSpectrogram() {
+    if (state.spectrogram || !analysisKey) return;
+    const key = analysisKey;
+    try {
+        const sg = await runAnalysis({ type: 'spectrogram', key });
+        if (key !== analysisKey) return;
+        state.spectrogram = sg;
+        drawSpectrogram();
+    } catch (err) {
+        console.warn('Spectrogram failed:', err);
+    }
+}
+
+function drawSpectrogram() {
+    if (!view.spectrogram || !state.audioBuffer) return;
+
+    const { ctx, left, dispW } = prepareCanvas(
+        el.spectrogramCanvas, el.spectrogramSpacer, el.spectrogramScroll, SPECTRO_H);
+
+    ctx.fillStyle = C.bg;
+    ctx.fillRect(0, 0, dispW, SPECTRO_H);
+
+    const image = spectrogramCanvas();
+    if (!image) {
+        ctx.fillStyle = C.muted2;
+        ctx.font      = '9px monospace';
+        ctx.textAlign = 'left';
+        ctx.fillText('computing spectrogram...', 8, SPECTRO_H / 2 + 3);
+        return;
+    }
+
+    // Image columns per second; parts past the track end are clipped
+    const { hop, sampleRate } = state.spectrogram;
+    const cols = sampleRate / hop;
+    const t0   = xToTime(left);
+    const t1   = xToTime(left + dispW);
+    ctx.drawImage(image, t0 * cols + 0.5, 0, (t1 - t0) * cols, image.height, 0, 0, dispW, SPECTRO_H);
+
+    // Bar lines, to read the lane against the grid
+    const { grid, duration } = state;
+    if (!grid || grid.downbeat_whole * (canvasWidth() / duration) < LINE_MIN_PX) return;
+    ctx.fillStyle = C.downbeat + '55';
+    for (const { t } of gridLinesBetween(grid, Math.max(t0, 0), Math.min(t1, duration), RANK.downbeat)) {
+        ctx.fillRect(Math.round(timeToX(t) - left), 0, 1, SPECTRO_H);
+    }
+}
+
+function setSpectrogram(on) {
+    view.spectrogram = on;
+    el.spectrogramBtn.classList.toggle('active', on);
+    el.spectrogramSection.classList.toggle('hidden', !on);
+    if (!on) return;
+    // The lane was hidden, so it missed zoom and scroll changes
+    el.spectrogramSpacer.style.width = canvasWidth() + 'px';
+    el.spectrogramScroll.scrollLeft  = el.timelineScroll.scrollLeft;
+    drawSpectrogram();
+    loadSpectrogram();
+}
+
+// Onsets words snap to in onset mode: the shown band, or all when hidden
+function snapOnsets() {
+    if (state.snapMode !== 'onset' || !state.onsets) return null;
+    return state.onsets[state.onsetBand === 'off' ? 'full' : state.onsetBand];
 }
 
 // ── Canvas: Beat Grid Timeline ────────────────────────────────────────────────
+const RULER_STEPS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300];
+const RULER_MIN_PX  = 64; // min spacing between ruler labels
+const RULER_TC_PX   = 84; // the same for timecode labels
+const LINE_MIN_PX   = 3;  // grid levels denser than this are skipped
+const BAR_LABEL_PX  = 16; // min spacing between measure numbers
+const SECTION_H     = 16; // song-section lane above the ruler
+
 function drawTimeline() {
     const { bpm, duration, grid, lyricsGrid } = state;
     if (!bpm || !duration) return;
 
-    const dpr   = window.devicePixelRatio || 1;
-    const dispW = canvasWidth();
     const dispH = 90;
-    const cnv   = el.timelineCanvas;
+    const { ctx, left, dispW } = prepareCanvas(
+        el.timelineCanvas, el.timelineSpacer, el.timelineScroll, dispH + SECTION_H);
 
-    cnv.width        = dispW * dpr;
-    cnv.height       = dispH * dpr;
-    cnv.style.width  = dispW + 'px';
-    cnv.style.height = dispH + 'px';
+    const X    = (t) => timeToX(t) - left;
+    const pxPerSec = canvasWidth() / duration;
+    const from = xToTime(left - ANCHOR_HIT_PX);
+    const to   = xToTime(left + dispW + ANCHOR_HIT_PX);
 
-    const ctx = cnv.getContext('2d');
-    ctx.scale(dpr, dpr);
+    // Section lane — labels are clipped to their section
+    const sections = currentSections();
+    ctx.fillStyle = C.surface;
+    ctx.fillRect(0, 0, dispW, SECTION_H);
+    ctx.font      = '9px monospace';
+    ctx.textAlign = 'left';
+    for (const sec of sections) {
+        const x0 = X(sec.start), x1 = X(sec.end);
+        if (x1 < 0 || x0 > dispW) continue;
+        const cl = SECTION_COLOR[sec.kind];
+        ctx.fillStyle = cl + '33';
+        ctx.fillRect(x0, 1, x1 - x0, SECTION_H - 2);
+        ctx.fillStyle = cl;
+        ctx.fillRect(x0, 0, 2, SECTION_H);
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x0 + 2, 0, x1 - x0 - 4, SECTION_H);
+        ctx.clip();
+        ctx.fillText(sec.label, Math.max(x0, 0) + 5, SECTION_H - 4);
+        ctx.restore();
+    }
+
+    // Everything below is drawn under the lane
+    ctx.translate(0, SECTION_H);
 
     // Background
     ctx.fillStyle = C.bg;
@@ -246,74 +757,131 @@ function drawTimeline() {
     const RULER_H = 18;
     const GRID_H  = dispH - RULER_H;
 
+    // Section tints behind the grid
+    for (const sec of sections) {
+        const x0 = Math.max(X(sec.start), 0), x1 = Math.min(X(sec.end), dispW);
+        if (x1 <= x0) continue;
+        ctx.fillStyle = SECTION_COLOR[sec.kind] + '0d';
+        ctx.fillRect(x0, RULER_H, x1 - x0, GRID_H);
+    }
+
     // Ruler background
     ctx.fillStyle = C.ruler;
     ctx.fillRect(0, 0, dispW, RULER_H);
 
-    // Time ruler ticks + labels
+    // Time ruler ticks + labels — step adapts to zoom
     ctx.fillStyle  = C.muted2;
     ctx.font       = '9px monospace';
     ctx.textAlign  = 'left';
 
-    const secStep = duration > 120 ? 10 : duration > 60 ? 5 : 2;
-    for (let sec = 0; sec <= duration; sec += secStep) {
-        const x = timeToX(sec);
-        const m = Math.floor(sec / 60);
-        const s = sec % 60;
+    const labelPx = state.timeDisplay === 'timecode' ? RULER_TC_PX : RULER_MIN_PX;
+    const secStep = RULER_STEPS.find((st) => st * pxPerSec >= labelPx) || 600;
+    for (let n = Math.max(0, Math.floor(from / secStep)); n * secStep <= Math.min(to, duration); n++) {
+        const sec = n * secStep;
+        const x   = X(sec);
         ctx.fillStyle = C.border;
         ctx.fillRect(x, 0, 1, RULER_H);
         ctx.fillStyle = C.muted2;
-        ctx.fillText(`${m}:${s.toString().padStart(2, '0')}`, x + 3, RULER_H - 5);
+        ctx.fillText(fmtRuler(sec, secStep), x + 3, RULER_H - 5);
     }
 
-    // Beat grid lines — draw finest first so coarser overdraw
-    const drawGrid = (interval, color, heightFraction, opacity, width) => {
-        ctx.globalAlpha = opacity;
-        ctx.strokeStyle = color;
-        ctx.lineWidth   = width;
-        for (let t = 0; t <= duration + interval / 2; t += interval) {
-            const x = timeToX(t);
-            const lineH = GRID_H * heightFraction;
-            ctx.beginPath();
-            ctx.moveTo(x, RULER_H + GRID_H - lineH);
-            ctx.lineTo(x, dispH);
-            ctx.stroke();
-        }
-        ctx.globalAlpha = 1;
-    };
-
-    drawGrid(grid.eighth_note,    C.offbeat,  0.18, 0.30, 0.5);
-    drawGrid(grid.quarter_note,   C.quarter,  0.35, 0.45, 0.7);
-    drawGrid(grid.half_note,      C.half,     0.58, 0.60, 1.0);
-    drawGrid(grid.downbeat_whole, C.downbeat, 1.00, 0.90, 1.5);
+    // Beat grid lines — one per eighth slot, styled by rank in the bar.
+    // Levels whose nominal spacing is under LINE_MIN_PX are left out.
+    const LINE_STYLE = [
+        { heightFraction: 1.00, opacity: 0.90, width: 1.5 },
+        { heightFraction: 0.58, opacity: 0.60, width: 1.0 },
+        { heightFraction: 0.35, opacity: 0.45, width: 0.7 },
+        { heightFraction: 0.18, opacity: 0.30, width: 0.5 },
+    ];
+    const levelPx = [grid.downbeat_whole, grid.half_note, grid.beat_note, grid.eighth_note]
+        .map((iv) => iv * pxPerSec);
+    let maxRank = RANK.downbeat;
+    while (maxRank < RANK.offbeat && levelPx[maxRank + 1] >= LINE_MIN_PX) maxRank++;
+
+    const visible = gridLinesBetween(grid, Math.max(from, 0), Math.min(to, duration), maxRank);
+    for (const { t, type } of visible) {
+        const st = LINE_STYLE[RANK[type]];
+        const x  = X(t);
+        ctx.globalAlpha = st.opacity;
+        ctx.strokeStyle = BEAT_COLOR[type];
+        ctx.lineWidth   = st.width;
+        ctx.beginPath();
+        ctx.moveTo(x, RULER_H + GRID_H - GRID_H * st.heightFraction);
+        ctx.lineTo(x, dispH);
+        ctx.stroke();
+    }
+    ctx.globalAlpha = 1;
 
-    // Measure numbers on downbeats
+    // Measure numbers on downbeats — bars before the anchor are pickup/intro;
+    // zoomed out, only every 2nd/4th/8th… bar is labelled
     ctx.fillStyle = C.downbeat + 'aa';
     ctx.font      = '8px monospace';
     ctx.textAlign = 'center';
-    let measure = 1;
-    for (let t = 0; t <= duration; t += grid.downbeat_whole) {
-        const x = timeToX(t);
-        ctx.fillText(measure, x, RULER_H + 10);
-        measure++;
+    let every = 1;
+    while (every * levelPx[0] < BAR_LABEL_PX) every *= 2;
+    for (const { t, index, type } of visible) {
+        if (type !== 'downbeat') continue;
+        const measure = barNumber(index, grid);
+        if (measure >= 1 && (measure - 1) % every === 0) ctx.fillText(measure, X(t), RULER_H + 10);
     }
 
-    // Word markers
-    if (lyricsGrid.length) {
-        const color = { downbeat: C.downbeat, half: C.half, quarter: C.quarter, offbeat: C.offbeat };
-
+    // Tempo changes — labels that would overlap the previous one are skipped
+    if (grid.map.length > 1) {
         ctx.font      = '8px monospace';
         ctx.textAlign = 'left';
+        let lastX = -Infinity;
+        for (const seg of grid.map) {
+            const x = X(Math.max(seg.time, 0));
+            if (seg.time > duration || x < -56 || x > dispW || x - lastX < 56) continue;
+            ctx.fillStyle = C.muted2;
+            ctx.fillRect(x, RULER_H + 13, 1, 9);
+            ctx.fillText('♩' + seg.bpm.toFixed(1), x + 3, RULER_H + 21);
+            lastX = x;
+        }
+    }
+
+    // Bar-1 anchor handle
+    const ax = X(grid.offset);
+    ctx.fillStyle = C.downbeat;
+    ctx.beginPath();
+    ctx.moveTo(ax - ANCHOR_HIT_PX, RULER_H);
+    ctx.lineTo(ax + ANCHOR_HIT_PX, RULER_H);
+    ctx.lineTo(ax, RULER_H + ANCHOR_HIT_PX);
+    ctx.closePath();
+    ctx.fill();
 
-        for (const entry of lyricsGrid) {
-            const x  = timeToX(entry.snapped_start);
-            const cl = color[entry.type];
+    // Word markers (labels extend ~80px right of their time)
+    if (lyricsGrid.length) {
+        ctx.font      = '8px monospace';
+        ctx.textAlign = 'left';
 
-            // Dot
-            ctx.fillStyle = cl;
+        lyricsGrid.forEach((entry, i) => {
+            const x  = X(entry.snapped_start);
+            const xe = entry.snapped_end !== undefined ? X(entry.snapped_end) : x;
+            if (xe < -10 || x > dispW + 10) return;
+            const cl = BEAT_COLOR[entry.type];
+
+            // Held-note bar out to the snapped end
+            if (xe > x) {
+                ctx.fillStyle = cl + '66';
+                ctx.fillRect(x, RULER_H + 3, xe - x, 2);
+            }
+
+            // Selection bar
+            if (i === editor.selected) {
+                ctx.fillStyle = 'rgba(255,255,255,0.35)';
+                ctx.fillRect(x - 0.5, RULER_H, 1, dispH - RULER_H);
+            }
+
+            // Dot — square for locked words, hollow for words to review
+            ctx.fillStyle   = cl;
+            ctx.strokeStyle = cl;
+            ctx.lineWidth   = 1;
             ctx.beginPath();
-            ctx.arc(x, RULER_H + 4, 2.5, 0, Math.PI * 2);
-            ctx.fill();
+            if (entry.locked) ctx.rect(x - 2.5, RULER_H + 1.5, 5, 5);
+            else ctx.arc(x, RULER_H + 4, 2.5, 0, Math.PI * 2);
+            if (entry.review) ctx.stroke();
+            else ctx.fill();
 
             // Rotated label
             ctx.save();
@@ -323,26 +891,337 @@ function drawTimeline() {
             ctx.textAlign = 'left';
             ctx.fillText(entry.word, 0, 0);
             ctx.restore();
+        });
+    }
+
+    syncOverlays();
+}
+
+function fmtRuler(sec, step) {
+    if (state.timeDisplay !== 'seconds') return fmtPosition(sec);
+    const m = Math.floor(sec / 60);
+    const s = sec - m * 60;
+    const digits = step < 0.5 ? 2 : step < 1 ? 1 : 0;
+    return `${m}:${s.toFixed(digits).padStart(digits ? digits + 3 : 2, '0')}`;
+}
+
+// ── Sync scroll between the lanes ─────────────────────────────────────────────
+function syncScroll(src) {
+    for (const dst of SCROLLERS) {
+        if (dst !== src && dst.scrollLeft !== src.scrollLeft) dst.scrollLeft = src.scrollLeft;
+    }
+    requestRedraw();
+}
+
+for (const scroller of SCROLLERS) scroller.addEventListener('scroll', () => syncScroll(scroller));
+window.addEventListener('resize', requestRedraw);
+
+// ── Playback ──────────────────────────────────────────────────────────────────
+// One AudioContext for decoding and playback. While playing, the song
+// position is derived from the context clock; with a loop region the source
+// loops natively and positions wrap into [loop.start, loop.end).
+const CLICK_LOOKAHEAD = 0.12; // s of metronome clicks scheduled ahead
+const CLICK_INTERVAL  = 25;   // ms between scheduler ticks
+
+const playback = {
+    ctx:        null,
+    source:     null,
+    playing:    false,
+    pos:        0,      // song position while paused
+    startedAt:  0,      // ctx time the current source started
+    startPos:   0,      // song position the current source started from
+    loop:       null,   // {start, end}
+    looping:    false,
+    metronome:  false,
+    clicks:     null,   // cached beat lines for the metronome
+    clickUntil: 0,      // ctx time clicks are scheduled up to
+    timer:      null,
+    raf:        null,
+};
+
+function audioContext() {
+    if (!playback.ctx) playback.ctx = new AudioContext();
+    return playback.ctx;
+}
+
+function activeLoop() {
+    return playback.looping && playback.loop ? playback.loop : null;
+}
+
+// Song position at a given context time
+function songPosAt(ctxTime) {
+    const raw  = playback.startPos + (ctxTime - playback.startedAt);
+    const loop = activeLoop();
+    if (loop && raw >= loop.end) {
+        return loop.start + ((raw - loop.start) % (loop.end - loop.start));
+    }
+    return raw;
+}
+
+function currentPos() {
+    return playback.playing ? songPosAt(audioContext().currentTime) : playback.pos;
+}
+
+function play(from = playback.pos) {
+    if (!state.audioBuffer) return;
+    stopSource();
+
+    const ctx  = audioContext();
+    const src  = ctx.createBufferSource();
+    const loop = activeLoop();
+    src.buffer = state.audioBuffer;
+    src.connect(ctx.destination);
+    if (loop) {
+        src.loop      = true;
+        src.loopStart = loop.start;
+        src.loopEnd   = loop.end;
+        if (from < loop.start || from >= loop.end) from = loop.start;
+    }
+    if (from >= state.duration) from = 0;
+    src.onended = () => {
+        if (playback.source !== src) return;
+        playback.source = null;
+        pause(0);
+    };
+
+    src.start(0, from);
+    playback.source     = src;
+    playback.playing    = true;
+    playback.startedAt  = ctx.currentTime;
+    playback.startPos   = from;
+    playback.clickUntil = ctx.currentTime;
+
+    playback.timer = setInterval(scheduleClicks, CLICK_INTERVAL);
+    scheduleClicks();
+    tick();
+    updateTransport();
+}
+
+function pause(at = currentPos()) {
+    stopSource();
+    playback.playing = false;
+    playback.pos     = at;
+    updatePlayhead(at);
+    updateTransport();
+}
+
+function stopSource() {
+    if (playback.source) {
+        const src = playback.source;
+        playback.source = null;
+        try { src.stop(); } catch {}
+        src.disconnect();
+    }
+    clearInterval(playback.timer);
+    cancelAnimationFrame(playback.raf);
+    playback.timer = null;
+}
+
+function togglePlay() {
+    if (playback.playing) pause();
+    else play();
+}
+
+function seek(t) {
+    const pos = Math.min(Math.max(t, 0), state.duration || 0);
+    if (playback.playing) play(pos);
+    else pause(pos);
+}
+
+function setLoop(loop) {
+    playback.loop    = loop;
+    playback.looping = !!loop;
+    restartIfPlaying();
+}
+
+function toggleLoop() {
+    if (!playback.loop) return;
+    playback.looping = !playback.looping;
+    restartIfPlaying();
+}
+
+function restartIfPlaying() {
+    if (playback.playing) play(currentPos());
+    else updateTransport();
+}
+
+// Grid changed — metronome must pick up the new beat lines
+function invalidateClicks() {
+    playback.clicks = null;
+}
+
+// ── Playback: metronome ───────────────────────────────────────────────────────
+function scheduleClicks() {
+    if (!playback.playing || !playback.metronome || !state.grid) return;
+    if (!playback.clicks) playback.clicks = gridLines(state.grid, state.duration, RANK.quarter);
+
+    // Walk the context window in pieces that are linear in song time
+    const ctx  = audioContext();
+    const loop = activeLoop();
+    const end  = ctx.currentTime + CLICK_LOOKAHEAD;
+    let a = Math.max(playback.clickUntil, ctx.currentTime);
+    while (a < end - 1e-6) {
+        const from = songPosAt(a);
+        const to   = loop && from < loop.end ? Math.min(loop.end, from + (end - a)) : from + (end - a);
+        for (const line of linesBetween(playback.clicks, from, to)) {
+            clickAt(a + (line.t - from), line.type === 'downbeat');
         }
+        a += to - from;
     }
+    playback.clickUntil = end;
 }
 
-// ── Sync scroll between waveform and timeline ─────────────────────────────────
-function syncScroll(src, dst) {
-    dst.scrollLeft = src.scrollLeft;
+// Lines with from <= t < to (binary search on the sorted list)
+function linesBetween(lines, from, to) {
+    let lo = 0, hi = lines.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (lines[mid].t < from) lo = mid + 1;
+        else hi = mid;
+    }
+    const out = [];
+    for (let i = lo; i < lines.length && lines[i].t < to; i++) out.push(lines[i]);
+    return out;
 }
 
-el.waveformScroll.addEventListener('scroll', () => syncScroll(el.waveformScroll, el.timelineScroll));
-el.timelineScroll.addEventListener('scroll', () => syncScroll(el.timelineScroll, el.waveformScroll));
+function clickAt(when, accent) {
+    const ctx  = audioContext();
+    const osc  = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.frequency.value = accent ? 1760 : 1320;
+    gain.gain.setValueAtTime(accent ? 0.6 : 0.3, when);
+    gain.gain.exponentialRampToValueAtTime(0.001, when + 0.05);
+    osc.connect(gain).connect(ctx.destination);
+    osc.start(when);
+    osc.stop(when + 0.06);
+}
+
+// ── Playback: playhead & transport UI ─────────────────────────────────────────
+function tick() {
+    if (!playback.playing) return;
+    const pos = currentPos();
+    updatePlayhead(pos);
+    followPlayhead(pos);
+    el.transportTime.textContent = fmtPosition(pos, fmtTime) + ' / ' + fmtPosition(state.duration || 0, fmtTime);
+    playback.raf = requestAnimationFrame(tick);
+}
+
+function updatePlayhead(pos) {
+    const x = state.duration ? timeToX(pos) : 0;
+    el.waveformPlayhead.style.transform = `translateX(${x}px)`;
+    el.timelinePlayhead.style.transform = `translateX(${x}px)`;
+    el.spectrogramPlayhead.style.transform = `translateX(${x}px)`;
+}
+
+// Page the view when the playhead nears the right edge or leaves the view
+function followPlayhead(pos) {
+    const sc = el.timelineScroll;
+    const x  = timeToX(pos);
+    if (x < sc.scrollLeft || x > sc.scrollLeft + sc.clientWidth * 0.85) {
+        sc.scrollLeft = Math.max(0, x - sc.clientWidth * 0.15);
+    }
+}
+
+function updateTransport() {
+    el.playBtn.textContent = playback.playing ? '❚❚' : '▶';
+    el.loopBtn.classList.toggle('active', !!activeLoop());
+    el.loopBtn.disabled    = !playback.loop;
+    el.clickBtn.classList.toggle('active', playback.metronome);
+    el.transportTime.textContent = fmtPosition(currentPos(), fmtTime) + ' / ' + fmtPosition(state.duration || 0, fmtTime);
+    syncOverlays();
+}
+
+// Playhead and loop region sit over the canvases; re-place them whenever
+// the canvas width (time scale) may have changed
+function syncOverlays() {
+    if (!state.duration) return;
+    updatePlayhead(currentPos());
+
+    const loop = playback.loop;
+    for (const region of [el.waveformLoop, el.timelineLoop, el.spectrogramLoop]) {
+        region.classList.toggle('hidden', !loop);
+        region.classList.toggle('inactive', !activeLoop());
+        if (loop) {
+            region.style.left  = timeToX(loop.start) + 'px';
+            region.style.width = (timeToX(loop.end) - timeToX(loop.start)) + 'px';
+        }
+    }
+}
+
+function fmtTime(sec) {
+    const m = Math.floor(sec / 60);
+    const s = (sec % 60).toFixed(2).padStart(5, '0');
+    return `${m}:${s}`;
+}
+
+// ── Frames & timecode display ─────────────────────────────────────────────────
+// Positions show as SMPTE timecode from the project's start timecode, or as
+// a frame count from the top of the song; lengths show in (fractional) frames.
+
+function projectRate() {
+    return frameRate(state.frameRate);
+}
+
+// A position in the song; `seconds` formats it when the display is in seconds
+function fmtPosition(sec, seconds = (s) => s.toFixed(3) + 's') {
+    if (state.timeDisplay === 'seconds') return seconds(sec);
+    const rate  = projectRate();
+    const frame = secondsToFrames(sec, rate);
+    if (state.timeDisplay === 'frames') return `${frame}f`;
+    return framesToTimecode((timecodeToFrames(state.startTimecode, rate) ?? 0) + frame, rate);
+}
+
+function fmtInterval(sec) {
+    if (state.timeDisplay === 'seconds') return sec.toFixed(4) + 's';
+    return parseFloat((sec * projectRate().fps).toFixed(3)) + 'f';
+}
+
+// Frame rate words snap to, or null when frame snapping is off
+function snapRate() {
+    return state.frameSnap ? projectRate() : null;
+}
+
+// After the frame rate, start timecode or display mode changed
+function refreshTimes() {
+    el.frameRateSelect.value = state.frameRate;
+    el.timeDisplay.value     = state.timeDisplay;
+    el.frameSnapBtn.classList.toggle('active', state.frameSnap);
+    if (!state.grid) return;
+    updateGridStats();
+    if (state.lyricsGrid.length) processWords(state.lyricsGrid);
+    else drawTimeline();
+    updateTransport();
+}
 
 // ── Lyrics Grid UI ────────────────────────────────────────────────────────────
+const LOW_CONFIDENCE = 0.5;    // chips below this are marked to check
+
 function renderLyricsGrid() {
-    el.lyricsGrid.innerHTML = '';
+    el.lyricsGrid.replaceChildren();
+
+    state.lyricsGrid.forEach((entry, i) => {
+        // Pasted lyrics keep their line and stanza breaks
+        const prev = state.lyricsGrid[i - 1];
+        if (prev && entry.line !== undefined && prev.line !== undefined && entry.line !== prev.line) {
+            const br = document.createElement('div');
+            br.className = 'chip-break' + (entry.stanza !== prev.stanza ? ' stanza' : '');
+            el.lyricsGrid.appendChild(br);
+        }
 
-    for (const entry of state.lyricsGrid) {
         const chip = document.createElement('div');
-        chip.className = `word-chip ${entry.type}`;
-        chip.title     = `${entry.snapped_start.toFixed(4)}s · ${entry.type}`;
+        const unsure = entry.confidence < LOW_CONFIDENCE;
+        chip.className = `word-chip ${entry.type}`
+            + (i === editor.selected ? ' selected' : '')
+            + (entry.locked ? ' locked' : '')
+            + (entry.review ? ' review' : '')
+            + (unsure ? ' unsure' : '');
+        chip.title     = `${fmtPosition(entry.snapped_start, (s) => s.toFixed(4) + 's')} · ${entry.type}`
+            + (entry.duration_beats !== undefined ? ` · held ${entry.duration_beats} beats` : '')
+            + (entry.confidence !== undefined ? ` · ${Math.round(entry.confidence * 100)}% confidence` : '')
+            + (entry.locked ? ' · locked' : '')
+            + (entry.review ? ' · check timing' : '');
+        chip.addEventListener('click',    () => selectWord(i));
+        chip.addEventListener('dblclick', () => editWordText(i));
 
         const wordEl   = document.createElement('div');
         wordEl.className = 'chip-word';
@@ -350,213 +1229,1435 @@ function renderLyricsGrid() {
 
         const timeEl   = document.createElement('div');
         timeEl.className = 'chip-time';
-        timeEl.textContent = entry.snapped_start.toFixed(3) + 's';
+        timeEl.textContent = fmtPosition(entry.snapped_start);
 
         chip.appendChild(wordEl);
         chip.appendChild(timeEl);
         el.lyricsGrid.appendChild(chip);
-    }
+    });
 
     el.wordCount.textContent = `· ${state.lyricsGrid.length} words`;
     el.lyricsSection.classList.remove('hidden');
     el.exportBar.classList.remove('hidden');
 }
 
-// ── Process raw words → grid entries ─────────────────────────────────────────
-function processWords(words) {
-    // words: [{word, start}] or [{word, raw_start}]
-    const { grid } = state;
-    state.lyricsGrid = words.map((w) => {
-        const raw     = parseFloat(w.start ?? w.raw_start ?? 0);
-        const snapped = snapToGrid(raw, grid.eighth_note);
-        return {
-            word:          w.word,
-            raw_start:     parseFloat(raw.toFixed(4)),
-            snapped_start: parseFloat(snapped.toFixed(4)),
-            type:          classifyBeat(snapped, grid),
-        };
+// ── Process raw words → grid entries ─────────────────────────────────────────
+function processWords(words) {
+    // words: [{word, start}] or [{word, raw_start}] or existing entries
+    state.lyricsGrid = words.map((w) => snapEntry(w, state.grid, snapOnsets(), snapRate()));
+
+    renderLyricsGrid();
+    drawTimeline(); // Re-draw with word markers
+    markDirty();
+}
+
+function distributeManualLyrics(text) {
+    const words      = text.trim().split(/\s+/).filter(Boolean);
+    const { duration, grid } = state;
+    const beats      = gridLines(grid, duration, RANK.quarter);
+    const step       = Math.max(1, Math.floor(beats.length / words.length));
+
+    pushHistory();
+    editor.selected = -1;
+    processWords(words.map((word, i) => ({
+        word,
+        start: beats[Math.min(i * step, beats.length - 1)].t,
+    })));
+}
+
+// Take the pasted text and the timing from the last transcription (or the
+// current words when there is none)
+function alignManualLyrics(text) {
+    const heard = state.transcript.length
+        ? state.transcript
+        : state.lyricsGrid.map((e) => ({ word: e.word, start: e.raw_start, end: e.raw_end, probability: e.confidence }));
+
+    let result;
+    try {
+        result = alignLyrics(text, heard, { duration: state.duration });
+    } catch (err) {
+        el.headerStatus.textContent = 'Alignment failed: ' + err.message;
+        return;
+    }
+
+    pushHistory();
+    editor.selected = -1;
+    processWords(result.words);
+    const { words, matched, regions } = result;
+    el.headerStatus.textContent = `Aligned ${matched}/${words.length} words`
+        + (regions.length ? ` · ${regions.length} region${regions.length > 1 ? 's' : ''} to check` : '');
+}
+
+// Timed lyrics from a file. Our own JSON brings its grid along: BPM, bar 1,
+// meter and tempo map are restored first so the words land where they were.
+async function handleImportLyrics() {
+    const result = await api.importLyrics(IMPORT_EXTENSIONS);
+    if (!result) return;
+    if (!result.ok) {
+        el.headerStatus.textContent = 'Import failed: ' + result.error;
+        return;
+    }
+
+    let imported;
+    try {
+        imported = importLyrics(result.filePath, result.content);
+    } catch (err) {
+        el.headerStatus.textContent = 'Import failed: ' + err.message;
+        return;
+    }
+
+    pushHistory();
+    editor.selected = -1;
+    const notes = [];
+    const g = imported.grid;
+    if (g) {
+        Object.assign(state, {
+            bpm:      g.bpm,
+            offset:   g.offset,
+            meter:    g.meter,
+            tempoMap: g.tempo_map,
+        });
+        el.bpmInput.value    = g.bpm;
+        el.meterSelect.value = g.meter;
+        rebuildGrid();
+        if (g.track && g.track !== baseName(state.filePath)) notes.push(`made for ${g.track}`);
+        if (g.duration && Math.abs(g.duration - state.duration) > 0.5) notes.push('track length differs');
+    }
+    processWords(imported.words.filter((w) => (w.start ?? w.raw_start) <= state.duration));
+
+    el.headerStatus.textContent = `Imported ${state.lyricsGrid.length} words from ${baseName(result.filePath)}`
+        + (notes.length ? ` (${notes.join(', ')})` : '');
+}
+
+// ── Lyric Editing ─────────────────────────────────────────────────────────────
+// Every edit goes through editLyrics(), which snapshots the lyrics for undo.
+// Moving a word rewrites its raw_start, so a later re-snap keeps it in the
+// slot it was moved to; locked words are not re-snapped at all.
+const HISTORY_LIMIT = 200;
+const WORD_HIT_PX   = 4;
+
+const editor = {
+    selected: -1,
+    undo:     [],   // [{lyrics, selected}]
+    redo:     [],
+    drag:     null, // {index, before, moved}
+};
+
+function snapshot() {
+    return { lyrics: state.lyricsGrid.map((e) => ({ ...e })), selected: editor.selected };
+}
+
+function pushHistory(snap = snapshot()) {
+    editor.undo.push(snap);
+    if (editor.undo.length > HISTORY_LIMIT) editor.undo.shift();
+    editor.redo = [];
+    updateHistoryButtons();
+}
+
+// mutate(lyrics) edits a copy in place and may return the entry to select.
+// That entry counts as edited unless `edited` is false (it was only next to
+// the change, like the word selected after a delete).
+function editLyrics(mutate, edited = true) {
+    if (transcribing) return;
+    pushHistory();
+    const lyrics = state.lyricsGrid.map((e) => ({ ...e }));
+    const keep   = mutate(lyrics);
+    commitLyrics(lyrics, keep, edited);
+}
+
+// Re-snap, keep time order, and follow the `keep` entry to its new index
+// Touching a word counts as reviewing it
+function commitLyrics(lyrics, keep, edited = true) {
+    if (keep && edited) delete keep.review;
+    const entries = lyrics.map((e) => ({ src: e, entry: snapEntry(e, state.grid) }));
+    entries.sort((a, b) => a.entry.snapped_start - b.entry.snapped_start);
+    editor.selected = keep ? entries.findIndex((x) => x.src === keep) : -1;
+    processWords(entries.map((x) => x.entry));
+}
+
+function restoreHistory(from, to) {
+    if (transcribing) return;
+    const snap = from.pop();
+    if (!snap) return;
+    to.push(snapshot());
+    editor.selected = snap.selected;
+    processWords(snap.lyrics);
+    updateHistoryButtons();
+}
+
+// Back to the snapshot before the last edit, without a redo step for it
+function dropInsert() {
+    const snap = editor.undo.pop();
+    if (!snap) return;
+    editor.selected = snap.selected;
+    processWords(snap.lyrics);
+    updateHistoryButtons();
+}
+
+function undo() { restoreHistory(editor.undo, editor.redo); }
+function redo() { restoreHistory(editor.redo, editor.undo); }
+
+function updateHistoryButtons() {
+    el.undoBtn.disabled = transcribing || !editor.undo.length;
+    el.redoBtn.disabled = transcribing || !editor.redo.length;
+}
+
+function resetEditor() {
+    Object.assign(editor, { selected: -1, undo: [], redo: [], drag: null });
+    updateHistoryButtons();
+}
+
+function selectWord(i) {
+    editor.selected = i >= 0 && i < state.lyricsGrid.length ? i : -1;
+    // Toggle classes rather than re-render so chip dblclick still lands
+    wordChips().forEach((chip, k) => chip.classList.toggle('selected', k === editor.selected));
+    drawTimeline();
+    const chip = wordChips()[editor.selected];
+    if (chip) chip.scrollIntoView({ block: 'nearest' });
+}
+
+function wordChips() {
+    return el.lyricsGrid.querySelectorAll('.word-chip');
+}
+
+function selectedEntry() {
+    return state.lyricsGrid[editor.selected] || null;
+}
+
+// Move the selected word by `slots` eighth-note grid lines
+function nudgeWord(slots) {
+    const cur = selectedEntry();
+    if (!cur) return;
+    const t = timeAtEighth(Math.round(eighthAt(cur.snapped_start, state.grid)) + slots, state.grid);
+    if (t < 0 || t > state.duration) return;
+    editLyrics((lyrics) => moveEntry(lyrics[editor.selected], t, state.grid));
+}
+
+function toggleLock() {
+    if (!selectedEntry()) return;
+    editLyrics((lyrics) => {
+        const e = lyrics[editor.selected];
+        if (e.locked) delete e.locked;
+        else e.locked = true;
+        return e;
+    });
+}
+
+function deleteWord() {
+    if (!selectedEntry()) return;
+    const i = editor.selected;
+    editLyrics((lyrics) => {
+        lyrics.splice(i, 1);
+        return lyrics[Math.min(i, lyrics.length - 1)];
+    }, false);
+}
+
+// New word one eighth after the selection (or at the playhead) and edit it
+function insertWord() {
+    if (!state.grid) return;
+    const cur = selectedEntry();
+    const t   = cur
+        ? timeAtEighth(Math.round(eighthAt(cur.snapped_start, state.grid)) + 1, state.grid)
+        : snapToGrid(currentPos(), state.grid);
+    let added;
+    editLyrics((lyrics) => {
+        added = { word: '…', raw_start: Math.min(t, state.duration) };
+        if (cur && cur.line !== undefined) Object.assign(added, { line: cur.line, stanza: cur.stanza });
+        lyrics.push(added);
+        return added;
+    });
+    editWordText(editor.selected, true);
+}
+
+// Split on spaces if the text has any, else in the middle; the new parts
+// go on the following eighth-note slots
+function splitWord() {
+    const cur = selectedEntry();
+    if (!cur) return;
+    const text  = cur.word.trim();
+    const parts = /\s/.test(text)
+        ? text.split(/\s+/)
+        : [text.slice(0, Math.ceil(text.length / 2)), text.slice(Math.ceil(text.length / 2))];
+    if (parts.length < 2 || parts.some((p) => !p)) return;
+
+    const base = Math.round(eighthAt(cur.snapped_start, state.grid));
+    editLyrics((lyrics) => {
+        const first = lyrics[editor.selected];
+        const { raw_end: end, confidence } = first;
+        first.word  = parts[0];
+        delete first.raw_end;
+        parts.slice(1).forEach((word, k) => {
+            const t = timeAtEighth(base + k + 1, state.grid);
+            lyrics.push({
+                word, raw_start: Math.min(t, state.duration), line: first.line, stanza: first.stanza, confidence,
+            });
+        });
+        // The last part holds to where the whole word did
+        if (end !== undefined) lyrics[lyrics.length - 1].raw_end = end;
+        return first;
+    });
+}
+
+// Join the selected word with the next one, keeping the first word's start
+// and the second one's end
+function mergeWord() {
+    const i = editor.selected;
+    if (i < 0 || i >= state.lyricsGrid.length - 1) return;
+    editLyrics((lyrics) => {
+        const [a, b] = lyrics.splice(i, 2);
+        const merged = { ...a, word: `${a.word} ${b.word}` };
+        for (const k of ['raw_end', 'snapped_end']) {
+            if (b[k] !== undefined) merged[k] = b[k];
+            else delete merged[k];
+        }
+        if (b.confidence !== undefined) merged.confidence = Math.min(b.confidence, a.confidence ?? 1);
+        lyrics.splice(i, 0, merged);
+        return merged;
+    });
+}
+
+// Inline text edit on the chip; Enter/blur commits, Escape cancels,
+// an empty word is deleted. For a word insertWord() just added, cancelling
+// or keeping the placeholder takes the insert back out of the lyrics and the
+// undo history.
+function editWordText(i, inserted = false) {
+    const chip = wordChips()[i];
+    const cur  = state.lyricsGrid[i];
+    if (!chip || !cur || transcribing) return;
+    editor.selected = i;
+    chip.classList.add('selected', 'editing');
+
+    const wordEl = chip.querySelector('.chip-word');
+    const input  = document.createElement('input');
+    input.className = 'chip-input';
+    input.value     = cur.word;
+    input.size      = Math.max(3, cur.word.length);
+    wordEl.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (commit) => {
+        if (done) return;
+        done = true;
+        const text = input.value.trim();
+        if (inserted && (!commit || !text || text === cur.word)) return dropInsert();
+        if (!commit || text === cur.word) return renderLyricsGrid();
+        if (!text) return deleteWord();
+        editLyrics((lyrics) => {
+            lyrics[i].word = text;
+            return lyrics[i];
+        });
+    };
+    input.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Enter')  finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('input', () => { input.size = Math.max(3, input.value.length); });
+    input.addEventListener('blur',  () => finish(true));
+}
+
+// Index of the word marker under a timeline content x, or -1
+function wordAt(x) {
+    let best = -1, bestD = WORD_HIT_PX + 1;
+    state.lyricsGrid.forEach((e, i) => {
+        const d = Math.abs(timeToX(e.snapped_start) - x);
+        if (d < bestD) { best = i; bestD = d; }
+    });
+    return best;
+}
+
+// ── Tempo Map Editor ──────────────────────────────────────────────────────────
+// Segments are stored by quarter-note beat; the editor speaks in bars.
+function quartersPerBar() {
+    return state.grid.downbeat_whole / state.grid.quarter_note;
+}
+
+function renderTempoMap() {
+    const { grid } = state;
+    const multi    = grid.map.length > 1;
+    el.tempoMapBtn.classList.toggle('active', multi);
+    el.tempoMapBtn.title = multi
+        ? `Tempo map · ${grid.map.length} segments`
+        : 'Tempo map · constant tempo';
+
+    el.tempoList.replaceChildren();
+    grid.map.forEach((seg, i) => {
+        const row = document.createElement('div');
+        row.className = 'tempo-row';
+
+        const bar = document.createElement('div');
+        bar.className   = 'tempo-bar';
+        bar.textContent = 'BAR ' + parseFloat((seg.beat / quartersPerBar() + 1).toFixed(2));
+
+        const time = document.createElement('div');
+        time.className   = 'tempo-time';
+        time.textContent = seg.time.toFixed(2) + 's';
+
+        const bpm = document.createElement('input');
+        bpm.type      = 'number';
+        bpm.className = 'tempo-bpm';
+        bpm.min       = 20;
+        bpm.step      = 0.001;
+        bpm.value     = seg.bpm;
+        bpm.addEventListener('change', () => {
+            const v = parseFloat(bpm.value);
+            if (v > 0) applyTempoMap(state.tempoMap.map((s, j) => (j === i ? { ...s, bpm: v } : s)));
+        });
+
+        const del = document.createElement('button');
+        del.className   = 'clip-remove';
+        del.textContent = '✕';
+        del.disabled    = i === 0;
+        del.addEventListener('click', () => applyTempoMap(state.tempoMap.filter((_, j) => j !== i)));
+
+        row.append(bar, time, bpm, del);
+        el.tempoList.appendChild(row);
+    });
+}
+
+function addTempoChange() {
+    const bar = parseFloat(el.tempoAddBar.value);
+    const bpm = parseFloat(el.tempoAddBpm.value);
+    if (!(bar > 1) || !(bpm > 0)) return;
+    applyTempoMap([...state.tempoMap, { beat: (bar - 1) * quartersPerBar(), bpm }]);
+    el.tempoAddBar.value = '';
+}
+
+// ── Song Sections ─────────────────────────────────────────────────────────────
+// Stored by bar (see lib/sections.js), so sections follow tempo and bar-1 edits.
+function currentSections() {
+    return state.grid ? sectionRanges(state.sections, state.grid, state.duration) : [];
+}
+
+async function runSectionDetection() {
+    if (!state.audioBuffer || !state.grid) return;
+    setStatus('Finding song sections...');
+    try {
+        applySections(await runAnalysis({
+            type: 'sections', key: analysisKey, grid: state.grid, duration: state.duration,
+        }));
+    } catch (err) {
+        console.warn('Section detection failed:', err);
+    }
+    setStatus(null);
+}
+
+function applySections(sections) {
+    state.sections = state.grid ? normalizeSections(sections, state.grid, state.duration) : [];
+    renderSections();
+    drawTimeline();
+    markDirty();
+}
+
+function updateSection(i, change) {
+    applySections(state.sections.map((s, j) => (j === i ? { ...s, ...change } : s)));
+}
+
+// The editor list; `focus` selects that section's label for renaming
+function renderSections(focus = -1) {
+    const ranges = currentSections();
+    el.sectionsBtn.classList.toggle('active', ranges.length > 0);
+    el.sectionsBtn.title = ranges.length ? `Song sections · ${ranges.length}` : 'Song sections';
+
+    el.sectionList.replaceChildren();
+    ranges.forEach((sec, i) => {
+        const row = document.createElement('div');
+        row.className = 'section-row';
+
+        const swatch = document.createElement('div');
+        swatch.className        = 'section-swatch';
+        swatch.style.background = SECTION_COLOR[sec.kind];
+
+        const kind = document.createElement('select');
+        kind.className = 'form-select';
+        fillSelect(kind, SECTION_KINDS, (k) => k.label);
+        kind.value = sec.kind;
+        kind.addEventListener('change', () => updateSection(i, { kind: kind.value }));
+
+        const label = document.createElement('input');
+        label.className  = 'tempo-bpm';
+        label.value      = sec.label;
+        label.spellcheck = false;
+        label.addEventListener('change', () => {
+            updateSection(i, { label: label.value.trim() || SECTION_KINDS[sec.kind].label });
+        });
+
+        const bar = document.createElement('input');
+        bar.type      = 'number';
+        bar.className = 'tempo-bpm';
+        bar.min       = 1;
+        bar.step      = 1;
+        bar.value     = sec.bar;
+        bar.disabled  = i === 0;
+        bar.title     = `bars ${sec.bar}–${sec.end_bar}`;
+        bar.addEventListener('change', () => {
+            const v = parseInt(bar.value, 10);
+            if (v > 1) updateSection(i, { bar: v });
+        });
+
+        const time = document.createElement('div');
+        time.className   = 'tempo-time';
+        time.textContent = `${fmtSec(sec.start)}–${fmtSec(sec.end)}`;
+
+        const del = document.createElement('button');
+        del.className   = 'clip-remove';
+        del.textContent = '✕';
+        del.title       = 'Remove — the previous section extends over it';
+        del.addEventListener('click', () => applySections(state.sections.filter((_, j) => j !== i)));
+
+        row.append(swatch, kind, label, bar, time, del);
+        el.sectionList.appendChild(row);
+        if (i === focus) {
+            label.focus();
+            label.select();
+        }
+    });
+    renderSectionFootage();
+}
+
+function openSections(focus = -1) {
+    el.sectionsModal.classList.remove('hidden');
+    renderSections(focus);
+}
+
+function addSection() {
+    const bar = parseInt(el.sectionAddBar.value, 10);
+    if (!(bar > 1) || !state.grid) return;
+    applySections([...state.sections, { bar, kind: 'verse', label: SECTION_KINDS.verse.label }]);
+    el.sectionAddBar.value = '';
+}
+
+// ── Stems ─────────────────────────────────────────────────────────────────────
+// A stem is decoded once when attached, checked against the mix and analysed
+// by the worker like the mix (tempo and onsets only). The sources decide
+// which analysis state.detected and state.onsets come from, and which file
+// Whisper hears.
+
+const stemErrors = {}; // kind → why the last attach failed
+
+// File a use listens to: its stem, or the mix
+function sourcePath(use) {
+    const stem = state.stems[state.stemSources[use]];
+    return stem ? stem.path : state.filePath;
+}
+
+// Decode a stem and check it against the mix; throws with the reason it doesn't fit
+async function readStem(filePath) {
+    const bytes       = await api.readAudio(filePath);
+    const audioBuffer = await audioContext().decodeAudioData(
+        bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+    // Decoding resamples to the context's rate, so the file rates come from ffprobe
+    const [info, mixInfo] = await Promise.all(
+        [filePath, state.filePath].map((p) => api.probeAudio(p).catch(() => null)));
+    const stem = {
+        path:        filePath,
+        name:        baseName(filePath),
+        duration:    audioBuffer.duration,
+        sample_rate: info && info.sample_rate,
+    };
+    const problem = checkStem(stem, { duration: state.duration, sample_rate: mixInfo && mixInfo.sample_rate });
+    if (problem) throw new Error(`${stem.name} ${problem}`);
+    return { stem, audioBuffer, key: `stem:${filePath}:${bytes.byteLength}` };
+}
+
+// Attach or replace a stem → null, or the reason it was refused
+async function attachStem(kind, filePath) {
+    const mixPath = state.filePath;
+    const label   = STEM_KINDS[kind].label;
+    setStatus(`Reading ${baseName(filePath)}...`);
+    try {
+        const { stem, audioBuffer, key } = await readStem(filePath);
+        const samples  = audioBuffer.getChannelData(0).slice();
+        const analysis = await runAnalysis(
+            { type: 'stem', key, samples, sampleRate: audioBuffer.sampleRate },
+            {
+                transfer:   [samples.buffer],
+                onProgress: ({ stage, step, steps }) => setStatus(`${label} stem: ${stage}... (${step + 1}/${steps})`),
+            });
+        if (state.filePath !== mixPath) return 'The track changed';
+        state.stems[kind]          = stem;
+        state.sourceAnalysis[kind] = { tempo: analysis.tempo, onsets: analysis.onsets };
+        for (const use of Object.keys(STEM_USES)) {
+            if (state.stemSources[use] === kind) applySource(use);
+        }
+        markDirty();
+        return null;
+    } catch (err) {
+        return err.message;
+    } finally {
+        setStatus(null);
+    }
+}
+
+function detachStem(kind) {
+    delete state.stems[kind];
+    delete state.sourceAnalysis[kind];
+    delete stemErrors[kind];
+    for (const use of Object.keys(STEM_USES)) {
+        if (state.stemSources[use] !== kind) continue;
+        state.stemSources[use] = 'mix';
+        applySource(use);
+    }
+    renderStems();
+    markDirty();
+}
+
+// Take a use's results from its source. A new tempo source replaces the grid
+// with its detection, like ↺; new onsets redraw and re-snap onset-snapped words.
+function applySource(use) {
+    const from = state.sourceAnalysis[state.stemSources[use]] || state.sourceAnalysis.mix;
+    if (use === 'tempo') {
+        state.detected = from.tempo;
+        if (state.detected) applyDetection(state.detected);
+        else el.headerStatus.textContent = `No tempo found in the ${sourceLabel(state.stemSources.tempo)} — grid unchanged`;
+    } else if (use === 'onsets') {
+        state.onsets = from.onsets;
+        drawWaveform();
+        if (state.snapMode === 'onset' && state.lyricsGrid.length) processWords(state.lyricsGrid);
+    }
+}
+
+function sourceLabel(source) {
+    return source === 'mix' ? 'full mix' : `${STEM_KINDS[source].label.toLowerCase()} stem`;
+}
+
+function setStemSource(use, source) {
+    state.stemSources[use] = state.stems[source] ? source : 'mix';
+    applySource(use);
+    renderStems();
+    markDirty();
+}
+
+function renderStems() {
+    const count = Object.keys(state.stems).length;
+    el.stemsBtn.classList.toggle('active', count > 0);
+    el.stemsBtn.title = count ? `Stems · ${count}` : 'Drum, vocal and instrumental stems';
+
+    el.stemList.replaceChildren();
+    for (const [kind, { label }] of Object.entries(STEM_KINDS)) {
+        const stem = state.stems[kind];
+        const row  = document.createElement('div');
+        row.className = 'stem-row';
+
+        const name = document.createElement('div');
+        name.className   = 'stem-kind';
+        name.textContent = label.toUpperCase();
+
+        const file = document.createElement('div');
+        const error = stemErrors[kind];
+        file.className   = 'stem-file' + (error ? ' error' : stem ? '' : ' empty');
+        file.textContent = error || (stem ? stem.name : 'none — the mix is used');
+        file.title       = stem ? `${stem.path} · ${fmtSec(stem.duration)}`
+            + (stem.sample_rate ? ` · ${stem.sample_rate} Hz` : '') : '';
+
+        const attach = document.createElement('button');
+        attach.className   = 'btn-small';
+        attach.textContent = stem ? 'Replace…' : 'Attach…';
+        attach.addEventListener('click', async () => {
+            const filePath = await api.openAudio();
+            if (!filePath) return;
+            const problem = await attachStem(kind, filePath);
+            if (problem) stemErrors[kind] = problem;
+            else delete stemErrors[kind];
+            renderStems();
+        });
+
+        const remove = document.createElement('button');
+        remove.className   = 'clip-remove';
+        remove.textContent = '✕';
+        remove.title       = 'Remove — anything using it goes back to the mix';
+        remove.disabled    = !stem;
+        remove.addEventListener('click', () => detachStem(kind));
+
+        row.append(name, file, attach, remove);
+        el.stemList.appendChild(row);
+    }
+
+    el.stemSources.replaceChildren();
+    for (const [use, { label }] of Object.entries(STEM_USES)) {
+        const caption = document.createElement('label');
+        caption.textContent = label.toUpperCase();
+        const select = document.createElement('select');
+        select.className = 'form-select';
+        fillSelect(select, { mix: { label: 'Full mix' }, ...STEM_KINDS }, (k) => k.label);
+        for (const opt of select.options) opt.disabled = opt.value !== 'mix' && !state.stems[opt.value];
+        select.value = state.stemSources[use];
+        select.addEventListener('change', () => setStemSource(use, select.value));
+        el.stemSources.append(caption, select);
+    }
+}
+
+// Re-attach a project's stems → labels of those that are gone or no longer fit
+async function restoreStems(stems, sources) {
+    const failed = [];
+    for (const [kind, saved] of Object.entries(stems || {})) {
+        if (!STEM_KINDS[kind] || !saved || !saved.path) continue;
+        const problem = await attachStem(kind, saved.path);
+        if (problem) failed.push(STEM_KINDS[kind].label);
+    }
+    state.stemSources = normalizeSources(sources, state.stems);
+    const from = (use) => state.sourceAnalysis[state.stemSources[use]] || state.sourceAnalysis.mix;
+    state.detected = from('tempo').tempo;
+    state.onsets   = from('onsets').onsets;
+    renderStems();
+    return failed;
+}
+
+function openStems() {
+    renderStems();
+    el.stemsModal.classList.remove('hidden');
+}
+
+// ── Status helpers ────────────────────────────────────────────────────────────
+function setStatus(msg) {
+    if (msg) {
+        el.statusBar.classList.remove('hidden');
+        el.statusText.textContent    = msg;
+        el.headerStatus.textContent  = msg;
+    } else {
+        el.statusBar.classList.add('hidden');
+        el.headerStatus.textContent  = '';
+    }
+}
+
+// ── BPM / anchor / tempo map apply ───────────────────────────────────────────
+// Typing a BPM means a straight grid: it replaces any tempo map
+function applyBPM(bpm) {
+    if (!bpm || bpm <= 0) return;
+    state.bpm         = bpm;
+    state.tempoMap    = [{ beat: 0, bpm }];
+    el.bpmInput.value = bpm;
+    rebuildGrid();
+}
+
+function applyTempoMap(segments) {
+    if (!state.bpm) return;
+    state.tempoMap = normalizeTempoMap(segments, state.bpm);
+    rebuildGrid();
+}
+
+// Adopt a detection result: tempo, bar-1 estimate and a tempo map that
+// follows the tracked beats
+function applyDetection(detected) {
+    state.beats       = detected.beats;
+    state.bpm         = detected.bpm;
+    state.offset      = autoOffset(detected, state.meter);
+    state.tempoMap    = beatTempoMap(detected, state.offset, state.meter);
+    el.bpmInput.value = detected.bpm;
+    rebuildGrid();
+}
+
+// Halve, double or ×1.5 the whole map; bar 1 stays where it is
+function scaleTempo(factor) {
+    if (!state.bpm) return;
+    state.bpm         = Math.round(state.bpm * factor * 1000) / 1000;
+    state.tempoMap    = scaleTempoMap(state.tempoMap || [{ beat: 0, bpm: state.bpm / factor }], factor);
+    el.bpmInput.value = state.bpm;
+    rebuildGrid();
+}
+
+// Tap tempo: the average interval of the taps so far sets a straight grid.
+// A pause longer than TAP_TIMEOUT starts a new count.
+const TAP_TIMEOUT = 2;     // s
+const TAP_MIN     = 4;     // taps before the BPM is applied
+const TAP_KEEP    = 16;    // most recent taps averaged
+
+let taps = [];
+
+function tapTempo() {
+    const now = performance.now() / 1000;
+    if (taps.length && now - taps[taps.length - 1] > TAP_TIMEOUT) taps = [];
+    taps = [...taps, now].slice(-TAP_KEEP);
+    if (taps.length < TAP_MIN) {
+        el.headerStatus.textContent = `Tap ${TAP_MIN - taps.length} more…`;
+        return;
+    }
+    const bpm = Math.round(60 * (taps.length - 1) / (now - taps[0]) * 10) / 10;
+    applyBPM(bpm);
+    el.headerStatus.textContent = `Tapped ${bpm} BPM · ${taps.length} taps`;
+}
+
+// The detector's alternative tempos, best first; picking one adopts its beats
+function renderCandidates() {
+    const candidates = (state.detected && state.detected.candidates) || [];
+    el.tempoCandidates.replaceChildren();
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = candidates.length ? 'Candidates…' : 'No candidates';
+    el.tempoCandidates.appendChild(none);
+    candidates.forEach((c, i) => {
+        const opt = document.createElement('option');
+        opt.value = i;
+        opt.textContent = `${c.bpm} BPM · ${Math.round(c.confidence * 100)}%`;
+        el.tempoCandidates.appendChild(opt);
+    });
+    const current = candidates.findIndex((c) => Math.abs(c.bpm - state.bpm) < 0.05);
+    el.tempoCandidates.value    = current >= 0 ? current : '';
+    el.tempoCandidates.disabled = !candidates.length;
+}
+
+function applyOffset(offset) {
+    if (!isFinite(offset) || !state.bpm) return;
+    state.offset = clampOffset(offset);
+    rebuildGrid();
+}
+
+function applyMeter(meter) {
+    if (!METERS[meter]) return;
+    state.meter = meter;
+    el.meterSelect.value = meter;
+    if (state.bpm) rebuildGrid();
+}
+
+function clampOffset(offset) {
+    return Math.min(Math.max(offset, 0), state.duration || 0);
+}
+
+function rebuildGrid() {
+    state.grid = calcGrid(state.bpm, state.offset, state.meter, state.tempoMap);
+    el.offsetInput.value = state.offset.toFixed(3);
+    invalidateClicks();
+    markDirty();
+    updateGridStats();
+    state.sections = normalizeSections(state.sections, state.grid, state.duration);
+    drawTimeline();
+    renderTempoMap();
+    renderSections();
+    renderCandidates();
+
+    // Re-snap existing lyrics to new grid, and re-cut the assembly on it
+    if (state.lyricsGrid.length) processWords(state.lyricsGrid);
+    if (state.assembly.slots.length) runAssemble();
+}
+
+// ── Main file handler ─────────────────────────────────────────────────────────
+function showWorkspace() {
+    el.dropSection.classList.add('hidden');
+    el.mainContent.classList.remove('hidden');
+    pause(0);
+    playback.loop  = null;
+    view.pxPerBeat = PX_PER_BEAT;
+    el.zoomLevel.textContent = '100%';
+    state.assembly.slots     = [];
+    renderSlotList();
+    resetEditor();
+}
+
+async function handleFile(filePath) {
+    if (!filePath) return;
+    if (extName(filePath).toLowerCase() === '.' + PROJECT_EXT) {
+        openProject(await api.readProject(filePath));
+        return;
+    }
+
+    showWorkspace();
+    session.path = null;
+
+    try {
+        await loadAudioFile(filePath);
+        const detected = state.detected;
+
+        if (detected) applyDetection(detected);
+        else          applyBPM(FALLBACK_BPM);
+        await runSectionDetection();
+        drawWaveform();
+        drawTimeline();
+        setStatus(null);
+
+        if (!detected) {
+            el.bpmInput.focus();
+            el.bpmInput.select();
+            setStatus(`BPM detection failed — showing ${FALLBACK_BPM} BPM; tap along (T) or enter the BPM`);
+        }
+        markDirty();
+    } catch (err) {
+        setStatus('Error: ' + err.message);
+        console.error(err);
+    }
+}
+
+// ── Transcription ─────────────────────────────────────────────────────────────
+// Words stream in segment by segment and are shown on the grid as they
+// arrive; the lyrics before the run come back if it is cancelled or fails.
+// Each segment replaces the lyrics, so editing them is off until it ends.
+let transcribing = false;
+
+function setTranscribing(on) {
+    transcribing = on;
+    el.transcribeBtn.disabled = on;
+    el.importBtn.disabled     = on;
+    el.manualBtn.disabled     = on;
+    el.statusCancelBtn.classList.toggle('hidden', !on);
+    updateHistoryButtons();
+}
+
+function openTranscribeModal() {
+    el.transcribeModel.value    = state.whisper.model;
+    el.transcribeLanguage.value = state.whisper.language;
+    el.transcribePrompt.value   = state.whisper.prompt;
+    el.transcribeBackend.textContent = 'Backend: ' + TRANSCRIBE_BACKENDS[settings.transcription.backend].label;
+    el.transcribeModal.classList.remove('hidden');
+}
+
+async function handleTranscribe() {
+    el.transcribeModal.classList.add('hidden');
+    if (!state.filePath || transcribing) return;
+
+    const options = {
+        model:    el.transcribeModel.value,
+        language: el.transcribeLanguage.value,
+        prompt:   el.transcribePrompt.value.trim(),
+    };
+    if (JSON.stringify(options) !== JSON.stringify(state.whisper)) {
+        state.whisper = options;
+        markDirty();
+    }
+
+    const filePath = state.filePath;
+    const before   = snapshot();
+    const live     = [];
+    setTranscribing(true);
+    const audioPath = sourcePath('transcription');
+    setStatus(`Starting Whisper ${options.model}`
+        + (audioPath !== filePath ? ` on the ${sourceLabel(state.stemSources.transcription)}` : '') + '...');
+
+    const onProgress = (msg) => {
+        if (msg && !live.length) setStatus(msg.slice(0, 100));
+    };
+    const onSegment = ({ words, progress }) => {
+        if (state.filePath !== filePath) return;
+        setStatus(`Transcribing... ${Math.round(progress * 100)}% · ${live.length + words.length} words`);
+        if (!words.length) return;
+        live.push(...words);
+        editor.selected = -1;
+        processWords(live);
+    };
+    const unsubscribe = [api.onTranscribeProgress(onProgress), api.onTranscribeSegment(onSegment)];
+
+    const result = await api.transcribe({
+        audioPath,
+        modelSize:  options.model,
+        language:   options.language,
+        prompt:     options.prompt,
+    });
+
+    unsubscribe.forEach((off) => off());
+    setTranscribing(false);
+    if (state.filePath !== filePath) return;
+
+    if (!result.ok) {
+        editor.selected = before.selected;
+        processWords(before.lyrics);
+        if (result.cancelled) {
+            setStatus(null);
+            el.headerStatus.textContent = 'Transcription cancelled';
+        } else {
+            setStatus('Transcription failed: ' + result.error);
+        }
+        return;
+    }
+
+    setStatus(null);
+    state.transcript = result.data.words;
+    pushHistory(before);
+    editor.selected = -1;
+    processWords(result.data.words);
+    const lang = LANGUAGES[result.data.language];
+    el.headerStatus.textContent = `Transcribed ${result.data.words.length} words`
+        + (result.data.language ? ` · ${lang ? lang.label : result.data.language}` : '');
+}
+
+// ── Export ────────────────────────────────────────────────────────────────────
+function buildJSON() {
+    const { bpm, duration, grid, lyricsGrid, filePath } = state;
+    const rate = projectRate();
+    return buildGridJSON({
+        track: baseName(filePath), bpm, duration, grid, lyrics: lyricsGrid,
+        sections:  currentSections(),
+        cutPoints: state.onsets ? rankCutPoints(state.onsets, grid) : null,
+        frames:    { rate, start: timecodeToFrames(state.startTimecode, rate) ?? 0 },
+        candidates: state.detected && state.detected.candidates,
+    });
+}
+
+async function handleExportJSON() {
+    const base  = baseName(state.filePath, extName(state.filePath));
+    const saved = await api.saveExport({
+        content: buildJSON(), defaultName: base + '_grid.json', ext: 'json',
+    });
+    if (saved) el.headerStatus.textContent = 'Saved: ' + baseName(saved);
+}
+
+async function handleExportLRC() {
+    const base  = baseName(state.filePath, extName(state.filePath));
+    const saved = await api.saveExport({
+        content: buildLRC(state.lyricsGrid), defaultName: base + '.lrc', ext: 'lrc',
+    });
+    if (saved) el.headerStatus.textContent = 'Saved: ' + baseName(saved);
+}
+
+// NLE markers — options are filled from the lib tables once
+function fillSelect(select, table, label) {
+    for (const [id, item] of Object.entries(table)) {
+        const opt = document.createElement('option');
+        opt.value = id;
+        opt.textContent = label(item, id);
+        select.appendChild(opt);
+    }
+}
+fillSelect(el.nleFormat,    EXPORT_FORMATS, (f) => `${f.label} (.${f.ext})`);
+fillSelect(el.nleLevel,     MARKER_LEVELS,  (l) => l.label);
+fillSelect(el.nleFrameRate, FRAME_RATES,    (r) => `${r.label} fps`);
+fillSelect(el.frameRateSelect, FRAME_RATES, (r) => `${r.label} fps`);
+fillSelect(el.timeDisplay,  TIME_DISPLAYS,  (d) => d.label);
+fillSelect(el.subsFormat,   SUBTITLE_FORMATS, (f) => `${f.label} (.${f.ext})`);
+fillSelect(el.subsGroup,    GROUPINGS,        (g) => g.label);
+fillSelect(el.subsTiming,   TIMINGS,          (t) => t.label);
+fillSelect(el.assembleMode, ASSEMBLE_MODES,   (m) => m.label);
+fillSelect(el.onsetBand,    { off: { label: 'Off' }, ...ONSET_BANDS }, (b) => b.label);
+fillSelect(el.snapMode,     SNAP_MODES,       (m) => m.label);
+fillSelect(el.waveChannels, WAVE_CHANNELS,    (c) => c.label);
+fillSelect(el.waveColor,    WAVE_COLORS,      (c) => c.label);
+fillSelect(el.transcribeModel,    WHISPER_MODELS, (m) => m.label);
+fillSelect(el.transcribeLanguage, LANGUAGES,      (l, id) => (id === 'auto' ? l.label : `${l.label} (${id})`));
+
+function openNleModal() {
+    el.nleFrameRate.value = state.frameRate;
+    el.nleStartTc.value   = state.startTimecode;
+    el.nleWords.disabled  = !state.lyricsGrid.length;
+    el.nleStartTc.classList.remove('invalid');
+    limitNleLevels();
+    el.nleModal.classList.remove('hidden');
+}
+
+function nleMarkers(level) {
+    return collectMarkers(state.grid, state.duration, {
+        level,
+        lyrics: el.nleWords.checked && !el.nleWords.disabled ? state.lyricsGrid : [],
+    });
+}
+
+// EDLs hold at most EDL_MAX_EVENTS events: levels that would need more are
+// disabled, and the selection falls back to the finest one that fits
+function limitNleLevels() {
+    const format  = EXPORT_FORMATS[el.nleFormat.value];
+    const options = [...el.nleLevel.options];
+    for (const opt of options) {
+        opt.disabled = !!format.events && format.events(nleMarkers(opt.value)) > EDL_MAX_EVENTS;
+    }
+    if (el.nleLevel.selectedOptions[0].disabled) {
+        const fits = options.filter((o) => !o.disabled);
+        el.nleLevel.value = (fits.length ? fits[fits.length - 1] : options[0]).value;
+    }
+}
+
+async function handleExportNLE() {
+    const rate  = frameRate(el.nleFrameRate.value);
+    const start = timecodeToFrames(el.nleStartTc.value, rate);
+    if (start === null) {
+        el.nleStartTc.classList.add('invalid');
+        return;
+    }
+    if (state.frameRate !== rate.id || state.startTimecode !== el.nleStartTc.value.trim()) {
+        state.frameRate     = rate.id;
+        state.startTimecode = el.nleStartTc.value.trim();
+        refreshTimes();
+        markDirty();
+    }
+    el.nleModal.classList.add('hidden');
+
+    const format  = EXPORT_FORMATS[el.nleFormat.value];
+    const base    = baseName(state.filePath, extName(state.filePath));
+    let content;
+    try {
+        content = format.build({
+            markers: nleMarkers(el.nleLevel.value), rate, start,
+            title:   base,
+            audio:   {
+                path:       state.filePath,
+                name:       baseName(state.filePath),
+                duration:   state.duration,
+                sampleRate: state.audioBuffer.sampleRate,
+                channels:   state.audioBuffer.numberOfChannels,
+            },
+        });
+    } catch (err) {
+        el.headerStatus.textContent = 'Export failed: ' + err.message;
+        return;
+    }
+    const saved = await api.saveExport({
+        content, defaultName: `${base}_markers.${format.ext}`, ext: format.ext,
+    });
+    if (saved) el.headerStatus.textContent = 'Saved: ' + baseName(saved);
+}
+
+async function handleExportSubtitles() {
+    el.subsModal.classList.add('hidden');
+    if (!state.lyricsGrid.length) return;
+
+    const format = SUBTITLE_FORMATS[el.subsFormat.value];
+    const base   = baseName(state.filePath, extName(state.filePath));
+    const lines  = groupLines(state.lyricsGrid, state.grid, {
+        by:       el.subsGroup.value,
+        timing:   el.subsTiming.value,
+        duration: state.duration,
+    });
+    const saved = await api.saveExport({
+        content: format.build(lines, { title: base }), defaultName: `${base}.${format.ext}`, ext: format.ext,
     });
+    if (saved) el.headerStatus.textContent = 'Saved: ' + baseName(saved);
+}
 
-    renderLyricsGrid();
-    drawTimeline(); // Re-draw with word markers
+// ── Reset ─────────────────────────────────────────────────────────────────────
+function resetApp() {
+    pause(0);
+    playback.loop = null;
+    clearTimeout(session.autosaveTimer);
+    Object.assign(session, { path: null, dirty: false });
+    if (transcribing) api.cancelTranscribe();
+    api.clearAutosave();
+    updateTitle();
+    renderRecentProjects();
+    Object.assign(state, {
+        filePath: null, audioBuffer: null, bpm: null, offset: 0, beats: [], meter: '4/4',
+        tempoMap: null, detected: null, onsets: null, peaks: null, spectrogram: null, onsetBand: 'full', snapMode: 'grid', sections: [],
+        duration: null, grid: null, lyricsGrid: [], transcript: [], clips: [],
+        stems: {}, stemSources: defaultSources(), sourceAnalysis: {},
+        assembly: { mode: 'bars', bars: 4, slots: [] },
+        whisper:  { ...state.whisper, prompt: '' },
+    });
+    el.mainContent.classList.add('hidden');
+    el.dropSection.classList.remove('hidden');
+    el.lyricsSection.classList.add('hidden');
+    el.exportBar.classList.add('hidden');
+    el.lyricsGrid.replaceChildren();
+    el.meterSelect.value    = '4/4';
+    el.onsetBand.value      = 'full';
+    el.snapMode.value       = 'grid';
+    resetEditor();
+    el.headerStatus.textContent = '';
+    setStatus(null);
 }
 
-function distributeManualLyrics(text) {
-    const words      = text.trim().split(/\s+/).filter(Boolean);
-    const { duration, grid } = state;
-    const totalBeats = Math.floor(duration / grid.quarter_note);
-    const step       = Math.max(1, Math.floor(totalBeats / words.length));
+// ── Projects ──────────────────────────────────────────────────────────────────
+// A project is the whole working state as JSON (see main.js for file I/O,
+// relinking and autosave). Lyric entries are stored as-is, so manual edits
+// survive a round trip without re-snapping.
+const PROJECT_EXT    = 'bpmgrid';
+const AUTOSAVE_DELAY = 2000; // ms after the last change
+
+const session = {
+    path:          null,  // project file, null until first save
+    dirty:         false,
+    restoring:     false, // suppresses markDirty while state is rebuilt
+    autosaveTimer: null,
+};
 
-    processWords(words.map((word, i) => ({
-        word,
-        start: i * step * grid.quarter_note,
-    })));
+function buildProject() {
+    const {
+        filePath, duration, bpm, offset, meter, tempoMap, beats, lyricsGrid, transcript, clips, assembly, whisper,
+        onsetBand, snapMode, sections, frameRate: frame_rate, startTimecode: start_timecode,
+        timeDisplay: time_display, frameSnap: frame_snap,
+    } = state;
+    return {
+        format:   'bpm-grid-project',
+        version:  1,
+        saved_at: new Date().toISOString(),
+        audio: {
+            path:     filePath,
+            name:     baseName(filePath),
+            duration: duration,
+        },
+        grid: {
+            bpm,
+            offset,
+            meter,
+            tempo_map: tempoMap,
+            beats,
+        },
+        onsets: { band: onsetBand, snap: snapMode },
+        sections,
+        lyrics: lyricsGrid,
+        transcript,
+        transcription: whisper,
+        clips,
+        assembly,
+        stems:        state.stems,
+        stem_sources: state.stemSources,
+        video: { frame_rate, start_timecode, time_display, frame_snap },
+        view: {
+            px_per_beat:   view.pxPerBeat,
+            loop:          playback.loop,
+            wave_channels: view.waveChannels,
+            wave_color:    view.waveColor,
+            spectrogram:   view.spectrogram,
+        },
+    };
 }
 
-// ── Status helpers ────────────────────────────────────────────────────────────
-function setStatus(msg) {
-    if (msg) {
-        el.statusBar.classList.remove('hidden');
-        el.statusText.textContent    = msg;
-        el.headerStatus.textContent  = msg;
-    } else {
-        el.statusBar.classList.add('hidden');
-        el.headerStatus.textContent  = '';
-    }
+function markDirty() {
+    if (session.restoring || !state.filePath) return;
+    session.dirty = true;
+    updateTitle();
+    clearTimeout(session.autosaveTimer);
+    session.autosaveTimer = setTimeout(() => {
+        api.autosave({ project: buildProject(), projectPath: session.path });
+    }, AUTOSAVE_DELAY);
 }
 
-// ── BPM apply ────────────────────────────────────────────────────────────────
-function applyBPM(bpm) {
-    if (!bpm || bpm <= 0) return;
-    state.bpm    = bpm;
-    state.grid   = calcGrid(bpm);
-    el.bpmInput.value = bpm;
-    updateGridStats();
-    drawTimeline();
+function updateTitle() {
+    const name = session.path ? baseName(session.path)
+        : state.filePath ? baseName(state.filePath) : null;
+    document.title = name ? `${name}${session.dirty ? ' •' : ''} — BPM Grid` : 'BPM Grid';
+    el.saveBtn.disabled   = !state.filePath;
+    el.saveAsBtn.disabled = !state.filePath;
+}
 
-    // Re-snap existing lyrics to new grid
-    if (state.lyricsGrid.length) {
-        processWords(state.lyricsGrid.map((e) => ({ word: e.word, start: e.raw_start })));
-    }
+async function saveProject(saveAs = false) {
+    if (!state.filePath) return;
+    const saved = await api.saveProject({
+        filePath: session.path, project: buildProject(), saveAs,
+    });
+    if (!saved) return;
+    clearTimeout(session.autosaveTimer);
+    api.clearAutosave();
+    Object.assign(session, { path: saved, dirty: false });
+    updateTitle();
+    el.headerStatus.textContent = 'Saved: ' + baseName(saved);
 }
 
-// ── Main file handler ─────────────────────────────────────────────────────────
-async function handleFile(filePath) {
-    if (!filePath) return;
+// result: {ok, filePath, project, audioPath} from the open/read-project handlers
+async function openProject(result) {
+    if (!result) return;
+    if (!result.ok) {
+        el.headerStatus.textContent = 'Could not open project: ' + result.error;
+        return;
+    }
+    const audioPath = result.audioPath
+        || await api.locateAudio(result.project.audio.name);
+    if (!audioPath) return;
 
-    el.dropSection.classList.add('hidden');
-    el.mainContent.classList.remove('hidden');
+    const relinked = audioPath !== result.project.audio.path;
+    await restoreProject(result.project, audioPath, result.filePath, relinked);
+}
 
+async function restoreProject(data, audioPath, projectPath, dirty) {
+    showWorkspace();
+    session.restoring = true;
     try {
-        const audioBuffer = await loadAudioFile(filePath);
-        const detected    = await detectBPM(audioBuffer);
+        await loadAudioFile(audioPath);
+
+        const g = data.grid;
+        Object.assign(state, {
+            bpm:        g.bpm,
+            offset:     g.offset || 0,
+            meter:      METERS[g.meter] ? g.meter : '4/4',
+            tempoMap:   g.tempo_map || null,
+            beats:      g.beats || [],
+            sections:   data.sections || [],
+            lyricsGrid: [],
+            transcript: data.transcript || [],
+        });
+        if (data.transcription && WHISPER_MODELS[data.transcription.model]) {
+            const { model, language, prompt } = data.transcription;
+            state.whisper = { model, language: LANGUAGES[language] ? language : 'auto', prompt: prompt || '' };
+        }
+        const onsets = data.onsets || {};
+        state.onsetBand = onsets.band === 'off' || ONSET_BANDS[onsets.band] ? onsets.band : 'full';
+        state.snapMode  = SNAP_MODES[onsets.snap] ? onsets.snap : 'grid';
+        el.onsetBand.value = state.onsetBand;
+        el.snapMode.value  = state.snapMode;
+        if (data.video && FRAME_RATES[data.video.frame_rate]) {
+            state.frameRate     = data.video.frame_rate;
+            state.startTimecode = data.video.start_timecode || '01:00:00:00';
+        }
+        const video = data.video || {};
+        state.timeDisplay = TIME_DISPLAYS[video.time_display] ? video.time_display : 'seconds';
+        state.frameSnap   = !!video.frame_snap;
+        el.frameRateSelect.value = state.frameRate;
+        el.timeDisplay.value     = state.timeDisplay;
+        el.frameSnapBtn.classList.toggle('active', state.frameSnap);
+        el.bpmInput.value    = g.bpm;
+        el.meterSelect.value = state.meter;
+        view.pxPerBeat       = (data.view && data.view.px_per_beat) || PX_PER_BEAT;
+        el.zoomLevel.textContent = Math.round((view.pxPerBeat / PX_PER_BEAT) * 100) + '%';
+        playback.loop        = (data.view && data.view.loop) || null;
+        if (data.view) {
+            view.waveChannels = WAVE_CHANNELS[data.view.wave_channels] ? data.view.wave_channels : 'mix';
+            view.waveColor    = WAVE_COLORS[data.view.wave_color] ? data.view.wave_color : 'bands';
+            el.waveChannels.value = view.waveChannels;
+            el.waveColor.value    = view.waveColor;
+            setSpectrogram(!!data.view.spectrogram);
+        }
+        rebuildGrid();
+
+        if (data.lyrics && data.lyrics.length) {
+            state.lyricsGrid = data.lyrics;
+            renderLyricsGrid();
+        } else {
+            el.lyricsGrid.replaceChildren();
+            el.lyricsSection.classList.add('hidden');
+            el.exportBar.classList.add('hidden');
+        }
+        state.clips    = data.clips || [];
+        state.assembly = data.assembly || { mode: 'bars', bars: 4, slots: [] };
+        updateFootageTracker();
+        const missingStems = await restoreStems(data.stems, data.stem_sources);
 
-        applyBPM(detected || 120);
         drawWaveform();
         drawTimeline();
+        updateTransport();
         setStatus(null);
-
-        if (!detected) {
-            el.bpmInput.focus();
-            el.bpmInput.select();
-            setStatus('BPM detection failed — enter BPM manually');
-        }
+        if (missingStems.length) el.headerStatus.textContent = 'Stems not attached: ' + missingStems.join(', ');
     } catch (err) {
         setStatus('Error: ' + err.message);
         console.error(err);
+    } finally {
+        session.restoring = false;
     }
+    Object.assign(session, { path: projectPath, dirty });
+    updateTitle();
+    if (dirty) markDirty();
 }
 
-// ── Transcription ─────────────────────────────────────────────────────────────
-async function handleTranscribe() {
-    if (!state.filePath || !state.pythonCmd) return;
-
-    el.transcribeBtn.disabled = true;
-    setStatus('Loading Whisper model...');
+async function renderRecentProjects() {
+    const recent = (await api.recentProjects()).filter((r) => r.exists);
+    el.recentList.replaceChildren();
+    el.recentProjects.classList.toggle('hidden', !recent.length);
 
-    const onProgress = (_, msg) => {
-        if (msg) setStatus(msg.slice(0, 100));
-    };
-    ipcRenderer.on('transcribe-progress', onProgress);
+    for (const r of recent) {
+        const row = document.createElement('button');
+        row.className = 'recent-row';
+        row.title     = r.path;
 
-    const result = await ipcRenderer.invoke('transcribe', {
-        audioPath:  state.filePath,
-        pythonCmd:  state.pythonCmd,
-        modelSize:  'base',
-    });
+        const name = document.createElement('span');
+        name.className   = 'recent-name';
+        name.textContent = r.name;
 
-    ipcRenderer.removeListener('transcribe-progress', onProgress);
-    el.transcribeBtn.disabled = false;
+        const dir = document.createElement('span');
+        dir.className   = 'recent-dir';
+        dir.textContent = dirName(r.path);
 
-    if (!result.ok) {
-        setStatus('Transcription failed: ' + result.error);
-        return;
+        row.append(name, dir);
+        row.addEventListener('click', async () =>
+            openProject(await api.readProject(r.path)));
+        el.recentList.appendChild(row);
     }
+}
 
-    setStatus(null);
-    processWords(result.data.words);
+// Offer work left behind by a crash or unsaved close
+async function checkRecovery() {
+    const rec = await api.checkRecovery();
+    if (!rec || !rec.project) return;
+
+    const when = new Date(rec.project.saved_at).toLocaleString();
+    el.recoveryText.textContent = `Unsaved session · ${rec.project.audio.name} · ${when}`;
+    el.recoveryBanner.classList.remove('hidden');
+
+    el.recoverBtn.onclick = async () => {
+        el.recoveryBanner.classList.add('hidden');
+        const audioPath = rec.audioPath
+            || await api.locateAudio(rec.project.audio.name);
+        if (audioPath) restoreProject(rec.project, audioPath, rec.projectPath, true);
+    };
+    el.discardRecoveryBtn.onclick = () => {
+        el.recoveryBanner.classList.add('hidden');
+        api.clearAutosave();
+    };
 }
 
-// ── Export ────────────────────────────────────────────────────────────────────
-function buildJSON() {
-    const { bpm, duration, grid, lyricsGrid, filePath } = state;
-    return JSON.stringify({
-        metadata: {
-            track:            path.basename(filePath),
-            bpm:              Math.round(bpm * 100) / 100,
-            duration_seconds: Math.round(duration * 100) / 100,
-            grid_intervals: {
-                quarter_note:   parseFloat(grid.quarter_note.toFixed(6)),
-                eighth_note:    parseFloat(grid.eighth_note.toFixed(6)),
-                half_note:      parseFloat(grid.half_note.toFixed(6)),
-                downbeat_whole: parseFloat(grid.downbeat_whole.toFixed(6)),
-            },
-        },
-        lyrics_grid: lyricsGrid,
-    }, null, 4);
+// ── Settings ──────────────────────────────────────────────────────────────────
+// App-wide settings from main (settings.json). The transcription backend's
+// fields sit in .backend-fields groups and map to its config by data-key.
+let settings = null;
+
+async function loadSettings() {
+    settings = await api.getSettings();
+    checkTranscription();
 }
 
-function buildLRC() {
-    return state.lyricsGrid.map((e) => {
-        const t = e.snapped_start;
-        const m = Math.floor(t / 60);
-        const s = t % 60;
-        return `[${m.toString().padStart(2, '0')}:${s.toFixed(2).padStart(5, '0')}] ${e.word}`;
-    }).join('\n');
+// Auto Transcribe stays disabled while the selected backend isn't ready
+async function checkTranscription() {
+    const t = settings.transcription;
+    const result = await api.checkBackend({ transcription: t, backend: t.backend });
+    if (transcribing) return;
+    el.transcribeBtn.disabled = !result.ok;
+    el.transcribeBtn.title    = result.ok
+        ? `${TRANSCRIBE_BACKENDS[t.backend].label} · ${result.detail}`
+        : `${result.error} — choose a backend in Settings (⚙) or use Paste Lyrics`;
 }
 
-async function handleExportJSON() {
-    const base  = path.basename(state.filePath, path.extname(state.filePath));
-    const saved = await ipcRenderer.invoke('save-file', {
-        content: buildJSON(), defaultName: base + '_grid.json', ext: 'json',
+function backendGroups() {
+    return document.querySelectorAll('.backend-fields');
+}
+
+function settingsForm() {
+    const t = { backend: el.backendSelect.value };
+    backendGroups().forEach((group) => {
+        const config = t[group.dataset.backend] = {};
+        group.querySelectorAll('[data-key]').forEach((input) => { config[input.dataset.key] = input.value.trim(); });
     });
-    if (saved) el.headerStatus.textContent = 'Saved: ' + path.basename(saved);
+    return t;
 }
 
-async function handleExportLRC() {
-    const base  = path.basename(state.filePath, path.extname(state.filePath));
-    const saved = await ipcRenderer.invoke('save-file', {
-        content: buildLRC(), defaultName: base + '.lrc', ext: 'lrc',
+function showBackendFields() {
+    backendGroups().forEach((group) => group.classList.toggle('hidden', group.dataset.backend !== el.backendSelect.value));
+    el.backendStatus.className   = 'backend-status';
+    el.backendStatus.textContent = '';
+}
+
+function openSettings() {
+    const t = settings.transcription;
+    el.backendSelect.value = t.backend;
+    backendGroups().forEach((group) => {
+        group.querySelectorAll('[data-key]').forEach((input) => {
+            input.value = t[group.dataset.backend][input.dataset.key] || '';
+        });
     });
-    if (saved) el.headerStatus.textContent = 'Saved: ' + path.basename(saved);
+    showBackendFields();
+    el.settingsModal.classList.remove('hidden');
 }
 
-// ── Reset ─────────────────────────────────────────────────────────────────────
-function resetApp() {
-    Object.assign(state, {
-        filePath: null, audioBuffer: null, bpm: null,
-        duration: null, grid: null, lyricsGrid: [], clips: [],
+async function checkBackendForm() {
+    showBackendFields();
+    el.backendStatus.textContent = 'Checking...';
+    const result = await api.checkBackend({
+        transcription: settingsForm(), backend: el.backendSelect.value,
     });
-    el.mainContent.classList.add('hidden');
-    el.dropSection.classList.remove('hidden');
-    el.lyricsSection.classList.add('hidden');
-    el.exportBar.classList.add('hidden');
-    el.lyricsGrid.innerHTML = '';
-    el.headerStatus.textContent = '';
-    setStatus(null);
+    el.backendStatus.classList.add(result.ok ? 'ok' : 'error');
+    el.backendStatus.textContent = result.ok ? '✓ ' + result.detail : '✕ ' + result.error;
 }
 
-// ── Init: find Python ─────────────────────────────────────────────────────────
-async function initPython() {
-    state.pythonCmd = await ipcRenderer.invoke('find-python');
-    if (!state.pythonCmd) {
-        el.transcribeBtn.disabled = true;
-        el.transcribeBtn.title    = 'Python not found — use Paste Lyrics';
+async function saveSettings() {
+    const result = await api.saveSettings({ ...settings, transcription: settingsForm() });
+    if (!result.ok) {
+        showBackendFields();
+        el.backendStatus.classList.add('error');
+        el.backendStatus.textContent = '✕ ' + result.error;
+        return;
     }
+    settings = result.settings;
+    el.settingsModal.classList.add('hidden');
+    checkTranscription();
 }
 
 // ── Footage Tracker ───────────────────────────────────────────────────────────
 
+const MIN_CLIP = 0.1;  // s — shortest in–out range a clip may be trimmed to
+
 function fmtSec(sec) {
     const m = Math.floor(sec / 60);
     const s = Math.floor(sec % 60);
     return `${m}:${s.toString().padStart(2, '0')}`;
 }
 
-// Get duration from any media file via hidden HTML5 element
+// Get duration from any media file via hidden HTML5 element, for when
+// ffprobe is unavailable or can't read the clip
 function getMediaDuration(filePath) {
     return new Promise((resolve) => {
-        const safeUrl = `file://${filePath.replace(/\\/g, '/')}`;
+        const safeUrl = fileUrl(filePath);
         const vid = document.createElement('video');
         vid.preload = 'metadata';
         vid.onloadedmetadata = () => resolve(isFinite(vid.duration) ? vid.duration : null);
@@ -572,14 +2673,59 @@ function getMediaDuration(filePath) {
     });
 }
 
+// Metadata from ffprobe in the main process when it can read the clip;
+// otherwise just the duration, and the rest stays null
+async function probeClip(filePath) {
+    const meta = await api.probeClip(filePath).catch(() => null);
+    if (meta) return meta;
+    const duration = await getMediaDuration(filePath);
+    return duration && { duration, fps: null, width: null, height: null, codec: null, start_tc: null, sample_rate: null };
+}
+
 async function addClips(filePaths) {
     for (const fp of filePaths) {
-        const dur = await getMediaDuration(fp);
-        if (dur && dur > 0) {
-            state.clips.push({ name: path.basename(fp), path: fp, duration: dur });
+        setStatus(`Reading ${baseName(fp)}...`);
+        const meta = await probeClip(fp);
+        if (meta && meta.duration > 0) {
+            state.clips.push({ name: baseName(fp), path: fp, ...meta, in: 0, out: meta.duration });
         }
     }
+    setStatus('');
+    updateFootageTracker();
+}
+
+// 'm:ss.ss' or plain seconds → seconds, or null
+function parseClock(text) {
+    const m = /^(?:(\d+):)?(\d+(?:\.\d*)?)$/.exec(String(text).trim());
+    return m ? (m[1] ? parseInt(m[1], 10) * 60 : 0) + parseFloat(m[2]) : null;
+}
+
+// Move a clip's in or out point; slots using the clip are re-trimmed to the
+// new range. Returns false when the point is outside the clip or crosses the other.
+function setClipPoint(index, key, value) {
+    const clip = state.clips[index];
+    if (!clip || value === null) return false;
+    const [from, to] = clipRange(clip);
+    const ok = key === 'in'
+        ? value >= 0 && value < to - MIN_CLIP
+        : value <= clip.duration + 1e-3 && value > from + MIN_CLIP;
+    if (!ok) return false;
+    clip[key] = Math.min(value, clip.duration);
+    for (const slot of state.assembly.slots) {
+        if (slot.clip === clip.path) trimSlot(slot, clip);
+    }
     updateFootageTracker();
+    return true;
+}
+
+// '29.97 fps · 1920×1080 · h264 · TC 01:00:00:00', whatever is known
+function clipDetails(clip) {
+    return [
+        clip.fps && `${clip.fps} fps`,
+        clip.width && `${clip.width}×${clip.height}`,
+        clip.codec,
+        clip.start_tc && `TC ${clip.start_tc}`,
+    ].filter(Boolean).join(' · ');
 }
 
 function removeClip(index) {
@@ -594,7 +2740,7 @@ function clearClips() {
 
 function updateFootageTracker() {
     const songDur   = state.duration || 0;
-    const totalClip = state.clips.reduce((s, c) => s + c.duration, 0);
+    const totalClip = state.clips.reduce((s, c) => s + usableLength(c), 0);
     const rawPct    = songDur > 0 ? (totalClip / songDur) * 100 : 0;
     const displayPct = Math.min(rawPct, 100);
     const remaining = Math.max(songDur - totalClip, 0);
@@ -616,29 +2762,239 @@ function updateFootageTracker() {
     el.footageRemaining.className   = done ? 'footage-remaining done' : 'footage-remaining';
 
     renderClipList(songDur);
+    renderSlotList();
+    markDirty();
 }
 
 function renderClipList(songDur) {
-    el.clipList.innerHTML = '';
+    el.clipList.replaceChildren();
 
     for (let i = 0; i < state.clips.length; i++) {
         const clip    = state.clips[i];
-        const clipPct = songDur > 0 ? Math.min((clip.duration / songDur) * 100, 100) : 0;
+        const usable  = usableLength(clip);
+        const clipPct = songDur > 0 ? Math.min((usable / songDur) * 100, 100) : 0;
 
-        const row = document.createElement('div');
+        const row  = document.createElement('div');
         row.className = 'clip-row';
-        row.innerHTML = `
-            <div class="clip-name" title="${clip.name}">${clip.name}</div>
-            <div class="clip-dur">${fmtSec(clip.duration)}</div>
-            <div class="clip-bar"><div class="clip-bar-fill" style="width:${clipPct.toFixed(1)}%"></div></div>
-            <button class="clip-remove" data-i="${i}">✕</button>
-        `;
+        const info = document.createElement('div');
+        info.className   = 'clip-info';
+        const name = document.createElement('div');
+        name.className   = 'clip-name';
+        name.title       = clip.path;
+        name.textContent = clip.name;
+        const details = document.createElement('div');
+        details.className   = 'clip-details';
+        details.textContent = clipDetails(clip) || 'no metadata — install ffprobe for frame rate and timecode';
+        info.append(name, details);
+
+        // In / out points; the usable part is what counts toward the song
+        const points = ['in', 'out'].map((key) => {
+            const input = document.createElement('input');
+            input.className  = 'tempo-bpm clip-point';
+            input.value      = fmtTime(clipRange(clip)[key === 'in' ? 0 : 1]);
+            input.title      = key === 'in' ? 'In point (m:ss.ss)' : 'Out point (m:ss.ss)';
+            input.spellcheck = false;
+            input.addEventListener('change', () => {
+                if (!setClipPoint(i, key, parseClock(input.value))) input.classList.add('invalid');
+            });
+            return input;
+        });
+        const dur  = document.createElement('div');
+        dur.className    = 'clip-dur';
+        dur.textContent  = fmtSec(usable);
+        dur.title        = usable < clip.duration - 1e-3 ? `of ${fmtSec(clip.duration)}` : '';
+        const bar  = document.createElement('div');
+        bar.className    = 'clip-bar';
+        const fill = document.createElement('div');
+        fill.className   = 'clip-bar-fill';
+        fill.style.width = clipPct.toFixed(1) + '%';
+        bar.appendChild(fill);
+        const remove = document.createElement('button');
+        remove.className   = 'clip-remove';
+        remove.textContent = '✕';
+        remove.addEventListener('click', () => removeClip(i));
+        row.append(info, ...points, dur, bar, remove);
         el.clipList.appendChild(row);
     }
+}
+
+// Footage each song section needs, and how much the assembled clips cover
+function renderSectionFootage() {
+    el.sectionFootage.replaceChildren();
+    for (const sec of sectionFootage(currentSections(), state.assembly.slots)) {
+        const row = document.createElement('div');
+        row.className = 'section-footage-row';
+        const swatch = document.createElement('div');
+        swatch.className        = 'section-swatch';
+        swatch.style.background = SECTION_COLOR[sec.kind];
+        const name = document.createElement('div');
+        name.className   = 'section-name';
+        name.textContent = sec.label;
+        const bars = document.createElement('div');
+        bars.textContent = `bars ${sec.bar}–${sec.end_bar}`;
+        const needed = document.createElement('div');
+        needed.className   = 'clip-dur';
+        needed.textContent = fmtSec(sec.needed);
+        needed.title       = 'Footage needed';
+        const bar  = document.createElement('div');
+        bar.className = 'clip-bar';
+        bar.title     = 'Covered by assembled clips';
+        const fill = document.createElement('div');
+        fill.className        = 'clip-bar-fill';
+        fill.style.width      = (sec.needed > 0 ? Math.min(sec.covered / sec.needed, 1) * 100 : 0).toFixed(1) + '%';
+        fill.style.background = SECTION_COLOR[sec.kind];
+        bar.appendChild(fill);
+        const covered = document.createElement('div');
+        covered.className   = 'clip-dur';
+        covered.textContent = fmtSec(sec.covered);
+        row.append(swatch, name, bars, needed, bar, covered);
+        el.sectionFootage.appendChild(row);
+    }
+}
+
+// ── Auto-Assemble ─────────────────────────────────────────────────────────────
+// Slots are recomputed from the current grid on every assemble (and whenever
+// the grid changes); locked slots that still line up keep their clip.
+
+function runAssemble() {
+    const a = state.assembly;
+    if (!state.grid || !state.clips.length) return;
+    const energy = a.mode === 'energy'
+        ? barEnergy(state.audioBuffer.getChannelData(0), state.audioBuffer.sampleRate, state.grid, state.duration)
+        : [];
+    const cuts = cutTimes(state.grid, state.duration, {
+        mode: a.mode, bars: a.bars, energy, lyrics: state.lyricsGrid,
+    });
+    a.slots = assignClips(slotRanges(cuts, state.duration), state.clips, a.slots);
+    renderSlotList();
+    markDirty();
+}
+
+function clipByPath(p) {
+    return state.clips.find((c) => c.path === p) || null;
+}
+
+// Swap the clips of two neighbouring slots, each re-trimmed to its new slot
+function moveSlot(i, dir) {
+    const slots = state.assembly.slots;
+    const a = slots[i], b = slots[i + dir];
+    if (!a || !b || a.locked || b.locked) return;
+    const [ca, ia] = [a.clip, a.in];
+    trimSlot(Object.assign(a, { in: b.in }), clipByPath(b.clip));
+    trimSlot(Object.assign(b, { in: ia }), clipByPath(ca));
+    renderSlotList();
+    markDirty();
+}
+
+function toggleSlotLock(i) {
+    const slot = state.assembly.slots[i];
+    if (!slot || !slot.clip) return;
+    slot.locked = !slot.locked;
+    renderSlotList();
+    markDirty();
+}
+
+function renderSlotList() {
+    const { slots, mode, bars } = state.assembly;
+    el.assembleMode.value = mode;
+    el.assembleBars.value = bars;
+    el.assembleBarsWrap.classList.toggle('hidden', mode === 'words');
+    el.assembleBtn.disabled     = !state.clips.length;
+    el.assembleEdlBtn.disabled  = !slots.length;
+    el.assembleJsonBtn.disabled = !slots.length;
+
+    renderSectionFootage();
+    const short = slots.filter((s) => s.short).length;
+    el.assembleMeta.textContent = slots.length
+        ? `${slots.length} slots` + (short ? ` · ${short} clip${short > 1 ? 's' : ''} too short` : '')
+        : '';
+
+    el.slotList.replaceChildren();
+    slots.forEach((slot, i) => {
+        const missing = slot.clip && !clipByPath(slot.clip);
+        const row = document.createElement('div');
+        row.className = 'slot-row' + (slot.locked ? ' locked' : '')
+            + (slot.short ? ' short' : '') + (missing || !slot.clip ? ' missing' : '');
+
+        const cell = (cls, text, title) => {
+            const d = document.createElement('div');
+            d.className   = cls;
+            d.textContent = text;
+            if (title) d.title = title;
+            row.appendChild(d);
+        };
+        const button = (text, title, disabled, onClick) => {
+            const b = document.createElement('button');
+            b.className   = 'clip-remove';
+            b.textContent = text;
+            b.title       = title;
+            b.disabled    = disabled;
+            b.addEventListener('click', onClick);
+            row.appendChild(b);
+        };
+
+        cell('slot-index', String(i + 1));
+        cell('slot-time', `bar ${barLabel(slot.start, state.grid)} · ${fmtSec(slot.start)}–${fmtSec(slot.end)}`,
+            `${slot.start.toFixed(3)}s – ${slot.end.toFixed(3)}s`);
+        cell('slot-clip', slot.clip ? slot.name + (missing ? ' (removed)' : '') : '—', slot.clip || '');
+        cell('slot-src', slot.clip ? `${slot.in.toFixed(2)}–${slot.out.toFixed(2)}s` : '',
+            slot.short ? 'Clip is shorter than the slot' : 'Source in – out');
+        const fixed = slot.locked || !slot.clip;
+        button('↑', 'Swap clip with previous slot', fixed || i === 0 || slots[i - 1].locked, () => moveSlot(i, -1));
+        button('↓', 'Swap clip with next slot', fixed || i === slots.length - 1 || slots[i + 1].locked, () => moveSlot(i, 1));
+        button(slot.locked ? '🔒' : '🔓', 'Lock slot against re-assembly', !slot.clip, () => toggleSlotLock(i));
+        el.slotList.appendChild(row);
+    });
+}
+
+function buildCutListJSON() {
+    const { mode, bars, slots } = state.assembly;
+    return JSON.stringify({
+        metadata: {
+            track:            baseName(state.filePath),
+            duration_seconds: Math.round(state.duration * 100) / 100,
+            mode,
+            bars:             mode === 'words' ? null : bars,
+            frame_rate:       state.frameRate,
+        },
+        slots: slots.map((s, i) => ({
+            index:      i + 1,
+            bar:        parseFloat(barLabel(s.start, state.grid)),
+            start:      parseFloat(s.start.toFixed(4)),
+            end:        parseFloat(s.end.toFixed(4)),
+            clip:       s.name,
+            path:       s.clip,
+            source_in:  parseFloat(s.in.toFixed(4)),
+            source_out: parseFloat(s.out.toFixed(4)),
+            locked:     s.locked,
+            short:      s.short,
+        })),
+    }, null, 4);
+}
 
-    el.clipList.querySelectorAll('.clip-remove').forEach((btn) => {
-        btn.addEventListener('click', () => removeClip(parseInt(btn.dataset.i)));
+async function handleExportCutList(kind) {
+    const base = baseName(state.filePath, extName(state.filePath));
+    let content;
+    if (kind === 'edl') {
+        const rate  = frameRate(state.frameRate);
+        try {
+            content = buildCutListEDL({
+                slots: state.assembly.slots, rate,
+                start: timecodeToFrames(state.startTimecode, rate) ?? 0,
+                title: base,
+                audio: { name: baseName(state.filePath), duration: state.duration },
+            });
+        } catch (err) {
+            el.headerStatus.textContent = 'Export failed: ' + err.message;
+            return;
+        }
+    } else {
+        content = buildCutListJSON();
+    }
+    const saved = await api.saveExport({
+        content, defaultName: `${base}_cutlist.${kind}`, ext: kind,
     });
+    if (saved) el.headerStatus.textContent = 'Saved: ' + baseName(saved);
 }
 
 // ── Event Listeners ───────────────────────────────────────────────────────────
@@ -656,12 +3012,12 @@ el.dropZone.addEventListener('drop', (e) => {
     if (file) handleFile(file.path);
 });
 el.dropZone.addEventListener('click', async () => {
-    const fp = await ipcRenderer.invoke('open-file');
+    const fp = await api.openAudio();
     if (fp) handleFile(fp);
 });
 el.browseBtn.addEventListener('click', async (e) => {
     e.stopPropagation();
-    const fp = await ipcRenderer.invoke('open-file');
+    const fp = await api.openAudio();
     if (fp) handleFile(fp);
 });
 
@@ -670,26 +3026,386 @@ el.bpmInput.addEventListener('change', () => applyBPM(parseFloat(el.bpmInput.val
 el.bpmInput.addEventListener('keydown', (e) => {
     if (e.key === 'Enter') applyBPM(parseFloat(el.bpmInput.value));
 });
-el.redetectBtn.addEventListener('click', async () => {
-    if (!state.audioBuffer) return;
-    el.redetectBtn.textContent = '...';
-    const bpm = await detectBPM(state.audioBuffer);
-    el.redetectBtn.textContent = '↺';
-    if (bpm) applyBPM(bpm);
-    setStatus(null);
+el.meterSelect.addEventListener('change', () => applyMeter(el.meterSelect.value));
+el.tapBtn.addEventListener('click', tapTempo);
+for (const btn of document.querySelectorAll('[data-tempo-factor]')) {
+    btn.addEventListener('click', () => scaleTempo(parseFloat(btn.dataset.tempoFactor)));
+}
+el.tempoCandidates.addEventListener('change', () => {
+    const candidate = state.detected && state.detected.candidates[el.tempoCandidates.value];
+    if (candidate) applyDetection(candidate);
+});
+
+// Waveform view
+el.waveChannels.addEventListener('change', () => {
+    view.waveChannels = el.waveChannels.value;
+    drawWaveform();
+});
+el.waveColor.addEventListener('change', () => {
+    view.waveColor = el.waveColor.value;
+    drawWaveform();
+});
+el.spectrogramBtn.addEventListener('click', () => setSpectrogram(!view.spectrogram));
+
+// Onsets: the band is shown on the waveform and is what words snap to
+el.onsetBand.addEventListener('change', () => {
+    state.onsetBand = el.onsetBand.value;
+    drawWaveform();
+    if (state.snapMode === 'onset') processWords(state.lyricsGrid);
+    else markDirty();
+});
+el.snapMode.addEventListener('change', () => {
+    state.snapMode = el.snapMode.value;
+    processWords(state.lyricsGrid);
+});
+
+// Frames: the NLE export dialog shares the project frame rate
+el.frameRateSelect.addEventListener('change', () => {
+    state.frameRate = el.frameRateSelect.value;
+    refreshTimes();
+    markDirty();
+});
+el.timeDisplay.addEventListener('change', () => {
+    state.timeDisplay = el.timeDisplay.value;
+    refreshTimes();
+    markDirty();
+});
+el.frameSnapBtn.addEventListener('click', () => {
+    state.frameSnap = !state.frameSnap;
+    refreshTimes();
+    markDirty();
+});
+el.redetectBtn.addEventListener('click', () => {
+    if (state.detected) applyDetection(state.detected);
+});
+
+// Bar-1 anchor
+el.offsetInput.addEventListener('change', () => applyOffset(parseFloat(el.offsetInput.value)));
+el.offsetInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') applyOffset(parseFloat(el.offsetInput.value));
+});
+el.offsetAutoBtn.addEventListener('click', () => {
+    if (state.beats.length) applyOffset(autoOffset(state, state.meter));
+});
+
+// Section lane — drag a boundary to move it by whole bars, click a section
+// to jump to it, double-click to rename it
+let sectionDrag = null;
+
+function inSectionLane(e) {
+    return e.clientY - el.timelineCanvas.getBoundingClientRect().top < SECTION_H;
+}
+
+function sectionEdgeAt(x) {
+    return currentSections().findIndex((sec, i) => i > 0 && Math.abs(timeToX(sec.start) - x) <= ANCHOR_HIT_PX);
+}
+
+function sectionAt(x) {
+    const t = xToTime(x);
+    return currentSections().findIndex((sec) => t >= sec.start && t < sec.end);
+}
+
+el.timelineCanvas.addEventListener('mousedown', (e) => {
+    if (!state.grid || !inSectionLane(e)) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    const x    = contentX(e, el.timelineScroll);
+    const edge = sectionEdgeAt(x);
+    const i    = sectionAt(x);
+    if (edge > 0) sectionDrag = { index: edge, moved: false };
+    else if (i >= 0) seek(currentSections()[i].start);
+});
+el.timelineCanvas.addEventListener('dblclick', (e) => {
+    if (!state.grid || !inSectionLane(e)) return;
+    const i = sectionAt(contentX(e, el.timelineScroll));
+    if (i >= 0) openSections(i);
+});
+window.addEventListener('mousemove', (e) => {
+    if (!sectionDrag) return;
+    const { index } = sectionDrag;
+    const t    = Math.min(Math.max(xToTime(contentX(e, el.timelineScroll)), 0), state.duration);
+    const bar  = Math.round(eighthAt(t, state.grid) / state.grid.slots.length) + 1;
+    const prev = state.sections[index - 1];
+    const next = state.sections[index + 1];
+    state.sections[index].bar = Math.min(Math.max(bar, prev.bar + 1),
+        next ? next.bar - 1 : barCount(state.grid, state.duration));
+    sectionDrag.moved = true;
+    drawTimeline();
+});
+window.addEventListener('mouseup', () => {
+    if (!sectionDrag) return;
+    const { moved } = sectionDrag;
+    sectionDrag = null;
+    if (moved) applySections(state.sections);
+});
+
+let anchorDrag = false;
+
+function nearAnchor(x) {
+    return state.grid && Math.abs(x - timeToX(state.grid.offset)) <= ANCHOR_HIT_PX;
+}
+
+el.timelineCanvas.addEventListener('mousedown', (e) => {
+    if (!nearAnchor(contentX(e, el.timelineScroll))) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    anchorDrag = true;
+});
+el.timelineCanvas.addEventListener('mousemove', (e) => {
+    const x = contentX(e, el.timelineScroll);
+    el.timelineCanvas.style.cursor =
+        anchorDrag || sectionDrag ? 'ew-resize'
+        : inSectionLane(e) ? (sectionEdgeAt(x) > 0 ? 'ew-resize' : 'pointer')
+        : nearAnchor(x) ? 'ew-resize'
+        : editor.drag ? 'grabbing'
+        : wordAt(x) >= 0 ? 'grab' : '';
+});
+window.addEventListener('mousemove', (e) => {
+    if (!anchorDrag) return;
+    // Live preview: move the grid only, re-snap words on release
+    state.offset = clampOffset(xToTime(contentX(e, el.timelineScroll)));
+    state.grid   = calcGrid(state.bpm, state.offset, state.meter, state.tempoMap);
+    el.offsetInput.value = state.offset.toFixed(3);
+    invalidateClicks();
+    drawTimeline();
+});
+window.addEventListener('mouseup', () => {
+    if (!anchorDrag) return;
+    anchorDrag = false;
+    applyOffset(state.offset);
+});
+
+// Word markers — click to select, drag to move (snapped, Alt for free time).
+// The drag previews on the live entry and becomes one undo step on release.
+el.timelineCanvas.addEventListener('mousedown', (e) => {
+    if (e.shiftKey || !state.grid || transcribing) return;
+    const i = wordAt(contentX(e, el.timelineScroll));
+    if (i < 0) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    editor.drag = { index: i, before: snapshot(), moved: false };
+    selectWord(i);
+});
+window.addEventListener('mousemove', (e) => {
+    if (!editor.drag) return;
+    const entry = state.lyricsGrid[editor.drag.index];
+    const raw   = Math.min(Math.max(xToTime(contentX(e, el.timelineScroll)), 0), state.duration);
+    const t     = e.altKey ? raw : snapTime(raw, state.grid, snapOnsets(), snapRate());
+    moveEntry(entry, t, state.grid);
+    if (!e.altKey && t !== snapTime(raw, state.grid, null, snapRate())) entry.onset = true;
+    else delete entry.onset;
+    editor.drag.moved   = true;
+    drawTimeline();
+});
+window.addEventListener('mouseup', () => {
+    const drag = editor.drag;
+    if (!drag) return;
+    editor.drag = null;
+    if (!drag.moved) return;
+    pushHistory(drag.before);
+    // Keep the dropped time as-is (it may be off-grid with Alt)
+    const moved = state.lyricsGrid[drag.index];
+    delete moved.review;
+    state.lyricsGrid.sort((a, b) => a.snapped_start - b.snapped_start);
+    editor.selected = state.lyricsGrid.indexOf(moved);
+    renderLyricsGrid();
+    drawTimeline();
+    markDirty();
+});
+
+// Transport — click a canvas to seek, shift-drag to set a loop region
+let loopDrag = null;
+
+function onCanvasMouseDown(e) {
+    if (!state.duration || !state.grid) return;
+    const scroller = e.currentTarget.parentElement;
+    const t = xToTime(contentX(e, scroller));
+    if (e.shiftKey) {
+        e.preventDefault();
+        loopDrag = { from: snapToGrid(t, state.grid), scroller };
+        return;
+    }
+    seek(t);
+}
+
+for (const cnv of [el.waveformCanvas, el.timelineCanvas, el.spectrogramCanvas]) {
+    cnv.addEventListener('mousedown', onCanvasMouseDown);
+}
+window.addEventListener('mousemove', (e) => {
+    if (!loopDrag) return;
+    const t    = xToTime(contentX(e, loopDrag.scroller));
+    const to   = snapToGrid(Math.min(Math.max(t, 0), state.duration), state.grid);
+    playback.loop    = { start: Math.min(loopDrag.from, to), end: Math.max(loopDrag.from, to) };
+    playback.looping = true;
+    updateTransport();
+});
+window.addEventListener('mouseup', () => {
+    if (!loopDrag) return;
+    loopDrag = null;
+    const loop = playback.loop;
+    setLoop(loop && loop.end - loop.start > 1e-3 ? loop : null);
+});
+
+el.playBtn.addEventListener('click', togglePlay);
+el.loopBtn.addEventListener('click', toggleLoop);
+el.clickBtn.addEventListener('click', () => {
+    playback.metronome = !playback.metronome;
+    updateTransport();
+});
+
+document.addEventListener('keydown', (e) => {
+    if (!state.audioBuffer || e.target.closest('input, textarea, select')) return;
+    if (document.querySelector('.modal-overlay:not(.hidden)')) return;
+    if (e.code === 'Space') {
+        e.preventDefault();
+        togglePlay();
+    } else if (e.key === 'l' || e.key === 'L') {
+        toggleLoop();
+    } else if (e.key === 'm' || e.key === 'M') {
+        el.clickBtn.click();
+    } else if (e.key === 't' || e.key === 'T') {
+        tapTempo();
+    } else if (e.key === 'Home') {
+        seek(activeLoop() ? playback.loop.start : 0);
+    } else if (e.key === '=' || e.key === '+') {
+        zoomBy(1.5);
+    } else if (e.key === '-') {
+        zoomBy(1 / 1.5);
+    } else if (e.key === '0') {
+        zoomToFit();
+    }
+});
+
+// Lyric editing keys — active while a word is selected
+document.addEventListener('keydown', (e) => {
+    if (e.target.closest('input, textarea, select')) return;
+    if (document.querySelector('.modal-overlay:not(.hidden)')) return;
+    const mod = e.ctrlKey || e.metaKey;
+    const key = e.key.toLowerCase();
+    if (mod && key === 'z') {
+        e.preventDefault();
+        if (e.shiftKey) redo();
+        else undo();
+        return;
+    }
+    if (mod && key === 'y') {
+        e.preventDefault();
+        redo();
+        return;
+    }
+    if (mod || e.altKey || !state.lyricsGrid.length) return;
+
+    if (e.key === 'Tab') {
+        e.preventDefault();
+        const n = state.lyricsGrid.length;
+        selectWord(editor.selected < 0 ? 0 : (editor.selected + (e.shiftKey ? n - 1 : 1)) % n);
+        return;
+    }
+    if (!selectedEntry()) return;
+    const actions = {
+        ArrowLeft:  () => nudgeWord(e.shiftKey ? -2 : -1),
+        ArrowRight: () => nudgeWord(e.shiftKey ? 2 : 1),
+        Escape:     () => selectWord(-1),
+        Enter:      () => editWordText(editor.selected),
+        F2:         () => editWordText(editor.selected),
+        Delete:     deleteWord,
+        Backspace:  deleteWord,
+        i:          insertWord,
+        s:          splitWord,
+        j:          mergeWord,
+        k:          toggleLock,
+    };
+    const action = actions[e.key] || actions[key];
+    if (!action) return;
+    e.preventDefault();
+    action();
+});
+
+// Zoom — Ctrl+wheel, and trackpad pinch (which arrives as Ctrl+wheel)
+for (const scroller of SCROLLERS) {
+    scroller.addEventListener('wheel', (e) => {
+        if (!e.ctrlKey) return;
+        e.preventDefault();
+        const anchorX = e.clientX - scroller.getBoundingClientRect().left;
+        zoomBy(Math.exp(-e.deltaY * 0.01), anchorX);
+    }, { passive: false });
+}
+el.zoomInBtn.addEventListener('click',  () => zoomBy(1.5));
+el.zoomOutBtn.addEventListener('click', () => zoomBy(1 / 1.5));
+el.zoomFitBtn.addEventListener('click', zoomToFit);
+
+// Tempo map
+el.tempoMapBtn.addEventListener('click',     () => el.tempoModal.classList.remove('hidden'));
+el.tempoCloseBtn.addEventListener('click',   () => el.tempoModal.classList.add('hidden'));
+el.tempoAddBtn.addEventListener('click',     addTempoChange);
+el.tempoFlattenBtn.addEventListener('click', () => applyBPM(state.bpm));
+el.tempoRebuildBtn.addEventListener('click', () => {
+    if (state.beats.length) applyTempoMap(beatTempoMap(state, state.offset, state.meter));
+});
+el.tempoModal.addEventListener('click', (e) => {
+    if (e.target === el.tempoModal) el.tempoModal.classList.add('hidden');
+});
+
+// Song sections
+el.sectionsBtn.addEventListener('click',      () => openSections());
+el.sectionsCloseBtn.addEventListener('click', () => el.sectionsModal.classList.add('hidden'));
+el.sectionAddBtn.addEventListener('click',    addSection);
+el.sectionDetectBtn.addEventListener('click', runSectionDetection);
+el.sectionAddBar.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addSection();
+});
+el.sectionsModal.addEventListener('click', (e) => {
+    if (e.target === el.sectionsModal) el.sectionsModal.classList.add('hidden');
+});
+
+// Stems
+el.stemsBtn.addEventListener('click',      openStems);
+el.stemsCloseBtn.addEventListener('click', () => el.stemsModal.classList.add('hidden'));
+el.stemsModal.addEventListener('click', (e) => {
+    if (e.target === el.stemsModal) el.stemsModal.classList.add('hidden');
 });
 
 // Transcription
-el.transcribeBtn.addEventListener('click', handleTranscribe);
+el.transcribeBtn.addEventListener('click', openTranscribeModal);
+el.transcribeCancelBtn.addEventListener('click', () => el.transcribeModal.classList.add('hidden'));
+el.transcribeStartBtn.addEventListener('click',  handleTranscribe);
+el.transcribeModal.addEventListener('click', (e) => {
+    if (e.target === el.transcribeModal) el.transcribeModal.classList.add('hidden');
+});
+el.transcribePrompt.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') handleTranscribe();
+});
+el.statusCancelBtn.addEventListener('click', () => api.cancelTranscribe());
+
+// Lyric editing
+el.editWordBtn.addEventListener('click',   () => editWordText(editor.selected));
+el.insertWordBtn.addEventListener('click', insertWord);
+el.splitWordBtn.addEventListener('click',  splitWord);
+el.mergeWordBtn.addEventListener('click',  mergeWord);
+el.lockWordBtn.addEventListener('click',   toggleLock);
+el.deleteWordBtn.addEventListener('click', deleteWord);
+el.undoBtn.addEventListener('click',       undo);
+el.redoBtn.addEventListener('click',       redo);
+
+// Import
+el.importBtn.addEventListener('click', handleImportLyrics);
 
 // Manual lyrics
-el.manualBtn.addEventListener('click',       () => el.manualModal.classList.remove('hidden'));
+el.manualBtn.addEventListener('click',       () => {
+    el.manualAlignBtn.disabled = !state.transcript.length && !state.lyricsGrid.length;
+    el.manualModal.classList.remove('hidden');
+});
 el.manualCancelBtn.addEventListener('click', () => el.manualModal.classList.add('hidden'));
 el.manualApplyBtn.addEventListener('click',  () => {
     const text = el.lyricsInput.value.trim();
     if (text) distributeManualLyrics(text);
     el.manualModal.classList.add('hidden');
 });
+el.manualAlignBtn.addEventListener('click',  () => {
+    const text = el.lyricsInput.value.trim();
+    if (text) alignManualLyrics(text);
+    el.manualModal.classList.add('hidden');
+});
 el.manualModal.addEventListener('click', (e) => {
     if (e.target === el.manualModal) el.manualModal.classList.add('hidden');
 });
@@ -697,10 +3413,66 @@ el.manualModal.addEventListener('click', (e) => {
 // Export
 el.exportJson.addEventListener('click', handleExportJSON);
 el.exportLrc.addEventListener('click',  handleExportLRC);
+el.exportNle.addEventListener('click',  openNleModal);
+el.nleExportBtn.addEventListener('click', handleExportNLE);
+el.nleFormat.addEventListener('change', limitNleLevels);
+el.nleWords.addEventListener('change',  limitNleLevels);
+el.exportSubs.addEventListener('click', () => el.subsModal.classList.remove('hidden'));
+el.subsExportBtn.addEventListener('click', handleExportSubtitles);
+el.subsCancelBtn.addEventListener('click', () => el.subsModal.classList.add('hidden'));
+el.subsModal.addEventListener('click', (e) => {
+    if (e.target === el.subsModal) el.subsModal.classList.add('hidden');
+});
+el.nleCancelBtn.addEventListener('click', () => el.nleModal.classList.add('hidden'));
+el.nleModal.addEventListener('click', (e) => {
+    if (e.target === el.nleModal) el.nleModal.classList.add('hidden');
+});
 
 // Reset
 el.resetBtn.addEventListener('click', resetApp);
 
+// Projects
+el.openProjectBtn.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    openProject(await api.openProject());
+});
+el.headerOpenBtn.addEventListener('click', async () =>
+    openProject(await api.openProject()));
+el.saveBtn.addEventListener('click',   () => saveProject(false));
+el.saveAsBtn.addEventListener('click', () => saveProject(true));
+
+// Settings
+fillSelect(el.backendSelect, TRANSCRIBE_BACKENDS, (b) => b.label);
+el.settingsBtn.addEventListener('click',       openSettings);
+el.backendSelect.addEventListener('change',    showBackendFields);
+el.backendCheckBtn.addEventListener('click',   checkBackendForm);
+el.settingsSaveBtn.addEventListener('click',   saveSettings);
+el.settingsCancelBtn.addEventListener('click', () => el.settingsModal.classList.add('hidden'));
+el.settingsModal.addEventListener('click', (e) => {
+    if (e.target === el.settingsModal) el.settingsModal.classList.add('hidden');
+});
+el.settingsModal.querySelectorAll('[data-pick]').forEach((btn) => {
+    btn.addEventListener('click', async () => {
+        const input  = btn.previousElementSibling;
+        const picked = await api.pickPath({
+            title: input.placeholder, directory: btn.dataset.pick === 'directory',
+        });
+        if (picked) input.value = picked;
+    });
+});
+
+document.addEventListener('keydown', async (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    const key = e.key.toLowerCase();
+    if (key === 's') {
+        e.preventDefault();
+        saveProject(e.shiftKey);
+    } else if (key === 'o') {
+        e.preventDefault();
+        openProject(await api.openProject());
+    }
+});
+
 // ── Footage Tracker Events ────────────────────────────────────────────────────
 
 el.clipDrop.addEventListener('dragover', (e) => {
@@ -716,11 +3488,26 @@ el.clipDrop.addEventListener('drop', (e) => {
     if (files.length) addClips(files);
 });
 el.clipDrop.addEventListener('click', async () => {
-    const result = await ipcRenderer.invoke('open-clips');
+    const result = await api.openClips();
     if (result && result.length) addClips(result);
 });
 
 el.footageClearBtn.addEventListener('click', clearClips);
 
+el.assembleMode.addEventListener('change', () => {
+    state.assembly.mode = el.assembleMode.value;
+    renderSlotList();
+});
+el.assembleBars.addEventListener('change', () => {
+    state.assembly.bars = Math.max(1, Math.round(parseFloat(el.assembleBars.value)) || 4);
+    renderSlotList();
+});
+el.assembleBtn.addEventListener('click',     runAssemble);
+el.assembleEdlBtn.addEventListener('click',  () => handleExportCutList('edl'));
+el.assembleJsonBtn.addEventListener('click', () => handleExportCutList('json'));
+
 // ── Boot ──────────────────────────────────────────────────────────────────────
-initPython();
+loadSettings();
+updateTitle();
+renderRecentProjects();
+checkRecovery();
@@ -1,45 +1,71 @@
 #!/usr/bin/env python3
 """
-Whisper transcription helper — called by the Electron main process.
-Outputs JSON to stdout: {"words": [{word, start, end}], "language": str}
+Whisper transcription helper — called by the Electron main process and the CLI.
+
+Usage: transcribe.py <audio_path> [--model base] [--language auto] [--prompt TEXT]
+
+Streams line-delimited JSON events to stdout as segments are recognized:
+  {"event": "info",    "language": str, "duration": float}
+  {"event": "segment", "words": [{word, start, end, probability}], "end": float, "progress": float}
+  {"event": "done",    "language": str}
+  {"event": "error",   "error": str}
+Model loading messages go to stderr.
 """
-import sys
+import argparse
 import json
+import sys
+
+
+def emit(event, **fields):
+    print(json.dumps({"event": event, **fields}), flush=True)
 
 
 def main():
-    if len(sys.argv) < 2:
-        print(json.dumps({"error": "Usage: transcribe.py <audio_path> [model_size]"}))
+    parser = argparse.ArgumentParser()
+    parser.add_argument("audio_path")
+    parser.add_argument("model_size", nargs="?", default=None)
+    parser.add_argument("--model", default="base")
+    parser.add_argument("--language", default="auto")
+    parser.add_argument("--prompt", default="")
+    try:
+        args = parser.parse_args()
+    except SystemExit:
+        emit("error", error="Usage: transcribe.py <audio_path> [--model M] [--language L] [--prompt P]")
         sys.exit(1)
 
-    audio_path = sys.argv[1]
-    model_size = sys.argv[2] if len(sys.argv) > 2 else "base"
-
     try:
         from faster_whisper import WhisperModel
     except ImportError:
-        print(json.dumps({
-            "error": "faster-whisper not installed. Run: pip install faster-whisper"
-        }))
+        emit("error", error="faster-whisper not installed. Run: pip install faster-whisper")
         sys.exit(1)
 
     try:
+        model_size = args.model_size or args.model
+        print(f"Loading Whisper model {model_size}...", file=sys.stderr, flush=True)
         model = WhisperModel(model_size, device="cpu", compute_type="int8")
-        segments, info = model.transcribe(audio_path, word_timestamps=True)
+        segments, info = model.transcribe(
+            args.audio_path,
+            word_timestamps=True,
+            language=None if args.language == "auto" else args.language,
+            initial_prompt=args.prompt or None,
+        )
+        emit("info", language=info.language, duration=round(info.duration, 4))
 
-        words = []
+        # segments is a generator: each one is decoded as we iterate
         for segment in segments:
-            for word in segment.words:
-                words.append({
-                    "word":  word.word.strip(),
-                    "start": round(word.start, 4),
-                    "end":   round(word.end,   4),
-                })
+            words = [{
+                "word":  word.word.strip(),
+                "start": round(word.start, 4),
+                "end":   round(word.end,   4),
+                "probability": round(word.probability, 4),
+            } for word in (segment.words or []) if word.word.strip()]
+            progress = min(1.0, segment.end / info.duration) if info.duration else 0.0
+            emit("segment", words=words, end=round(segment.end, 4), progress=round(progress, 4))
 
-        print(json.dumps({"words": words, "language": info.language}))
+        emit("done", language=info.language)
 
     except Exception as e:
-        print(json.dumps({"error": str(e)}))
+        emit("error", error=str(e))
         sys.exit(1)
 
 